@@ -0,0 +1,218 @@
+/*
+ * Copyright (c) 2022, Daniel Nakonieczny
+ * All rights reserved.
+ * date: June 28 2022
+ * description: Logs the command line in to the source and target orgs with
+ * the auth method configured for each of them
+ */
+
+import jsforce from 'jsforce';
+import { readFile } from 'fs/promises';
+import { createSign } from 'crypto';
+import { execFile } from 'child_process';
+import { request as httpsRequest } from 'https';
+import { promisify } from 'util';
+
+const API_VERSION = '55.0';
+
+/**
+ * Logs in to an org with the auth method configured for it. Environment
+ * variables are read with `envPrefix` (`SOURCE_ORG` or `TARGET_ORG`)
+ * @param {String} envPrefix
+ * @param {Object} [authConfig] `sourceOrgAuth`/`targetOrgAuth` config
+ * @returns {Promise<jsforce.Connection>} connection that refreshes its session when it expires
+ */
+export async function loginEnvironment(envPrefix, authConfig = {}) {
+  const env = name => process.env[`${envPrefix}_${name}`];
+  const loginUrl = authConfig.loginUrl ?? env('LOGIN_URL');
+  const method = authConfig.method ?? 'password';
+  console.log(`fine: using '${method}' auth method`);
+
+  switch (method) {
+    case 'password': {
+      const connection = new jsforce.Connection({
+        loginUrl,
+        accessToken: env('ACCESS_TOKEN'),
+        instanceUrl: loginUrl,
+        version: API_VERSION,
+      });
+      if (!connection.accessToken) {
+        await connection.login(
+          env('USERNAME'),
+          `${env('PASSWORD')}${env('SECURITY_TOKEN') ?? ''}`,
+        );
+      }
+      return connection;
+    }
+    case 'jwt':
+      return loginWithRefreshFn(async () => {
+        const response = await requestJwtAccessToken(loginUrl, authConfig);
+        return { accessToken: response.access_token, instanceUrl: response.instance_url };
+      });
+    case 'refreshToken':
+      return loginWithRefreshToken(
+        loginUrl,
+        authConfig.clientId,
+        authConfig.clientSecret,
+        env('REFRESH_TOKEN'),
+      );
+    case 'sfdxAlias':
+      return loginWithRefreshFn(() => getSalesforceCliSession(authConfig.alias));
+    case 'sfdxAuthFile': {
+      const { clientId, clientSecret, refreshToken, instanceUrl } =
+        parseSfdxAuthUrl(await readSfdxAuthFile(authConfig.authFile));
+      return loginWithRefreshToken(instanceUrl, clientId, clientSecret, refreshToken);
+    }
+    default:
+      throw new Error(
+        `Unknown auth method '${method}' for ${envPrefix}, expected one of password, jwt, refreshToken, sfdxAlias, sfdxAuthFile`,
+      );
+  }
+}
+
+/**
+ * Creates a connection from a session returned by `getSession`, which is
+ * called again whenever the session expires
+ * @param {function(): Promise<{accessToken: String, instanceUrl: String}>} getSession
+ */
+async function loginWithRefreshFn(getSession) {
+  const { accessToken, instanceUrl } = await getSession();
+  return new jsforce.Connection({
+    accessToken,
+    instanceUrl,
+    version: API_VERSION,
+    refreshFn: (connection, callback) => {
+      getSession()
+        .then(session => {
+          connection.initialize(session);
+          callback(null, session.accessToken);
+        })
+        .catch(callback);
+    },
+  });
+}
+
+async function loginWithRefreshToken(loginUrl, clientId, clientSecret, refreshToken) {
+  if (!refreshToken) {
+    throw new Error('Missing refresh token');
+  }
+
+  const connection = new jsforce.Connection({
+    oauth2: { loginUrl, clientId, clientSecret },
+    instanceUrl: loginUrl,
+    refreshToken,
+    version: API_VERSION,
+  });
+  const response = await connection.oauth2.refreshToken(refreshToken);
+  connection.initialize({
+    accessToken: response.access_token,
+    instanceUrl: response.instance_url,
+  });
+  return connection;
+}
+
+/**
+ * OAuth 2.0 JWT bearer flow: signs an assertion for `username` with the
+ * private key of the connected app and exchanges it for an access token
+ * @param {String} loginUrl
+ * @param {{clientId: String, username: String, privateKeyFile: String, audience: ?String}} authConfig
+ */
+async function requestJwtAccessToken(loginUrl, authConfig) {
+  const toBase64Url = value => Buffer.from(value).toString('base64url');
+  const header = toBase64Url(JSON.stringify({ alg: 'RS256' }));
+  const claims = toBase64Url(JSON.stringify({
+    iss: authConfig.clientId,
+    sub: authConfig.username,
+    aud: authConfig.audience ?? 'https://login.salesforce.com',
+    exp: Math.floor(Date.now() / 1000) + 3 * 60,
+  }));
+  const privateKey = await readFile(authConfig.privateKeyFile, 'utf8');
+  const signature = createSign('RSA-SHA256')
+    .update(`${header}.${claims}`)
+    .sign(privateKey, 'base64url');
+
+  return postTokenRequest(`${loginUrl}/services/oauth2/token`, {
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion: `${header}.${claims}.${signature}`,
+  });
+}
+
+function postTokenRequest(tokenUrl, params) {
+  const body = new URLSearchParams(params).toString();
+  return new Promise((resolve, reject) => {
+    const request = httpsRequest(tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(body),
+      },
+    }, response => {
+      let responseBody = '';
+      response.on('data', chunk => responseBody += chunk);
+      response.on('end', () => {
+        let result;
+        try {
+          result = JSON.parse(responseBody);
+        } catch (err) {
+          result = { error: `ERROR_HTTP_${response.statusCode}`, error_description: responseBody };
+        }
+        if (response.statusCode >= 400) {
+          reject(new Error(`${result.error}: ${result.error_description}`));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Reuses the session of an org authorized in the Salesforce CLI, the CLI
+ * takes care of refreshing its access token
+ * @param {String} alias org alias or username
+ */
+async function getSalesforceCliSession(alias) {
+  const { stdout } = await promisify(execFile)(
+    'sf',
+    ['org', 'display', '--target-org', alias, '--json'],
+    { shell: process.platform === 'win32' },
+  );
+  const { result } = JSON.parse(stdout);
+  return { accessToken: result.accessToken, instanceUrl: result.instanceUrl };
+}
+
+/**
+ * Reads an SFDX auth URL from a file, either as plain text or from the JSON
+ * output of `sf org display --verbose --json`
+ * @param {String} authFile
+ */
+async function readSfdxAuthFile(authFile) {
+  const content = (await readFile(authFile, 'utf8')).trim();
+  if (!content.startsWith('{')) {
+    return content;
+  }
+
+  const json = JSON.parse(content);
+  return json.result?.sfdxAuthUrl ?? json.sfdxAuthUrl;
+}
+
+/**
+ * Parses an SFDX auth URL: `force://<clientId>:<clientSecret>:<refreshToken>@<instanceUrl>`
+ * @param {String} sfdxAuthUrl
+ */
+function parseSfdxAuthUrl(sfdxAuthUrl) {
+  const match = /^force:\/\/([^:]+):([^:]*):(.+)@([^@]+)$/.exec(sfdxAuthUrl ?? '');
+  if (!match) {
+    throw new Error('Invalid SFDX auth URL, expected force://<clientId>:<clientSecret>:<refreshToken>@<instanceUrl>');
+  }
+
+  const [, clientId, clientSecret, refreshToken, instance] = match;
+  return {
+    clientId,
+    clientSecret: clientSecret || undefined,
+    refreshToken,
+    instanceUrl: instance.startsWith('http') ? instance : `https://${instance}`,
+  };
+}
@@ -0,0 +1,301 @@
+/*
+ * Copyright (c) 2022, Daniel Nakonieczny
+ * All rights reserved.
+ * date: June 28 2022
+ * description: Loads the configuration of the command line: the config file,
+ * one of its profiles, environment variables and --set overrides, checked
+ * against CONFIG_SCHEMA, and saves the --interactive template selection to it
+ */
+
+import { parse, parseDocument } from 'yaml';
+import { readFile, writeFile } from 'fs/promises';
+import { SUPPORTED_SUBTYPES, MISSING_FIELD_POLICIES, DEFAULT_OPTIONS } from './migrator.js';
+
+export const DEFAULT_CONFIG_FILENAME = 'config.yml';
+// SRTM_CONFIG and SRTM_PROFILE select the config file and profile, any
+// other SRTM_* variable overrides a config key (SRTM_WINDOW_WIDTH => windowWidth)
+export const CONFIG_ENV_PREFIX = 'SRTM_';
+
+/**
+ * Every config key with its type and its default, keys that are passed to
+ * migrator.js default to its `DEFAULT_OPTIONS`. `type` is one of `string`,
+ * `boolean`, `integer`, `number`, `string[]` or `object`, `choices` and
+ * `min` restrict the values and `validate` returns the problem of a value
+ */
+export const CONFIG_SCHEMA = {
+  // template selection
+  reportNames: { type: 'string[]', default: [] },
+  reportLabels: { type: 'string[]', default: [] },
+  reportPatterns: { type: 'string[]', default: [] },
+  migrateAllTemplates: { type: 'boolean', default: false },
+  reportSubtypesToMigrate: { type: 'string[]', choices: Object.keys(SUPPORTED_SUBTYPES), default: DEFAULT_OPTIONS.subtypes },
+  templateMapping: { type: 'object', default: DEFAULT_OPTIONS.templateMapping, validate: validateTemplateMapping },
+  // layouts
+  fieldRulesFilename: { type: 'string', default: null },
+  missingFieldPolicy: { type: 'string', choices: MISSING_FIELD_POLICIES, default: DEFAULT_OPTIONS.missingFieldPolicy },
+  missingFieldPlaceholder: { type: 'string', default: DEFAULT_OPTIONS.missingFieldPlaceholder },
+  removeSourceImages: { type: 'boolean', default: DEFAULT_OPTIONS.removeSourceImages },
+  imageReplacementText: { type: 'string', default: DEFAULT_OPTIONS.imageReplacementText },
+  migrateSourceImages: { type: 'boolean', default: DEFAULT_OPTIONS.migrateSourceImages },
+  imageDocumentFolder: { type: 'string', default: null },
+  // deployment
+  createReportsInTargetOrg: { type: 'boolean', default: DEFAULT_OPTIONS.createMissingTemplates },
+  verifyDeployment: { type: 'boolean', default: DEFAULT_OPTIONS.verifyDeployment },
+  syncTemplateMetadata: { type: 'boolean', default: DEFAULT_OPTIONS.syncTemplateMetadata },
+  // browser
+  runInBackground: { type: 'boolean', default: DEFAULT_OPTIONS.headless },
+  windowWidth: { type: 'integer', min: 1, default: DEFAULT_OPTIONS.windowWidth },
+  windowHeight: { type: 'integer', min: 1, default: DEFAULT_OPTIONS.windowHeight },
+  browserArgs: { type: 'string[]', default: DEFAULT_OPTIONS.browserArgs },
+  actionTimeout: { type: 'integer', min: 1, default: DEFAULT_OPTIONS.actionTimeout },
+  retries: { type: 'integer', min: 0, default: DEFAULT_OPTIONS.retries },
+  retryDelay: { type: 'integer', min: 0, default: DEFAULT_OPTIONS.retryDelay },
+  concurrency: { type: 'integer', min: 1, default: DEFAULT_OPTIONS.concurrency },
+  taskTimeout: { type: 'integer', min: 1, default: null },
+  writePOSTDataToFile: { type: 'boolean', default: DEFAULT_OPTIONS.writePOSTDataToFile },
+  // files
+  errorLogFilename: { type: 'string', default: 'error.log' },
+  runReportFilename: { type: 'string', default: null },
+  junitReportFilename: { type: 'string', default: null },
+  stateFilename: { type: 'string', default: null },
+  bundleDirectory: { type: 'string', default: 'bundle' },
+  backupDirectory: { type: 'string', default: 'backups' },
+  previewDirectory: { type: 'string', default: '.' },
+  metadataCacheDirectory: { type: 'string', default: null },
+  metadataCacheMaxAge: { type: 'number', min: 0, default: null },
+  // orgs
+  sourceOrgAuth: { type: 'object', default: {} },
+  targetOrgAuth: { type: 'object', default: {} },
+  targetOrgs: { type: 'object', default: null, validate: validateTargetOrgs },
+};
+
+/**
+ * Loads the config file and layers, from lowest to highest precedence, the
+ * defaults of `CONFIG_SCHEMA`, the keys of the file, the keys of the selected
+ * profile (`profiles.<name>` of the file), the `SRTM_*` environment variables
+ * and the `--set` overrides. An empty (null) value gets the default
+ * @param {Object} [options]
+ * @param {String} [options.filename] defaults to `SRTM_CONFIG` or `config.yml`
+ * @param {String} [options.profile] defaults to `SRTM_PROFILE`
+ * @param {String[]} [options.overrides] `key=value` or `key.subkey=value`,
+ * values are parsed as YAML except for string keys
+ * @param {Object} [options.env] defaults to `process.env`
+ * @returns {Promise<{config: Object, filename: String, profile: ?String}>}
+ * @throws {Error} listing every unknown key and invalid value, with where it was set
+ */
+export async function loadConfig({ filename, profile, overrides = [], env = process.env } = {}) {
+  filename ??= env[`${CONFIG_ENV_PREFIX}CONFIG`] ?? DEFAULT_CONFIG_FILENAME;
+  profile ??= env[`${CONFIG_ENV_PREFIX}PROFILE`] || null;
+
+  let fileConfig;
+  try {
+    // an empty file parses to null
+    fileConfig = parse(await readFile(filename, 'utf8')) ?? {};
+  } catch (err) {
+    throw new Error(`Could not read the config file '${filename}': ${err.message}`);
+  }
+  if (!isPlainObject(fileConfig)) {
+    throw new Error(`The config file '${filename}' must be a map of config keys`);
+  }
+
+  const { profiles = {}, ...baseConfig } = fileConfig;
+  if (profile && !isPlainObject(profiles?.[profile])) {
+    const profileNames = isPlainObject(profiles) ? Object.keys(profiles) : [];
+    throw new Error(
+      `Unknown profile '${profile}' in '${filename}', ${profileNames.length ? `expected one of ${profileNames.join(', ')}` : 'it has no profiles'}`,
+    );
+  }
+
+  const config = {};
+  const sources = {};
+  const problems = [];
+  const setValue = (key, value, source) => {
+    if (!CONFIG_SCHEMA[key]) {
+      problems.push(`${source}: unknown config key '${key}'`);
+      return;
+    }
+    config[key] = value;
+    sources[key] = source;
+  };
+
+  for (const [key, value] of Object.entries(baseConfig)) {
+    setValue(key, value, `'${filename}'`);
+  }
+  for (const [key, value] of Object.entries(profile ? profiles[profile] : {})) {
+    setValue(key, value, `profile '${profile}' of '${filename}'`);
+  }
+  for (const [name, value] of Object.entries(env)) {
+    if (!name.startsWith(CONFIG_ENV_PREFIX) || [`${CONFIG_ENV_PREFIX}CONFIG`, `${CONFIG_ENV_PREFIX}PROFILE`].includes(name)) {
+      continue;
+    }
+    const key = Object.keys(CONFIG_SCHEMA).find(schemaKey => toEnvName(schemaKey) === name);
+    if (!key) {
+      problems.push(`${name}: unknown config key, no config key is read from this environment variable`);
+      continue;
+    }
+    setValue(key, parseOverrideValue(key, value), name);
+  }
+  for (const override of overrides) {
+    const match = /^([\w.]+)=(.*)$/s.exec(override);
+    if (!match) {
+      problems.push(`--set ${override}: expected key=value`);
+      continue;
+    }
+    const [, path, value] = match;
+    const [key, ...subkeys] = path.split('.');
+    if (subkeys.length && CONFIG_SCHEMA[key]?.type !== 'object') {
+      problems.push(`--set ${path}: only the keys of map config keys can be set with a dotted name`);
+      continue;
+    }
+    setValue(key, subkeys.length ? setIn(config[key], subkeys, parse(value)) : parseOverrideValue(key, value), `--set ${path}`);
+  }
+
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    if (config[key] == null) {
+      config[key] = schema.default;
+      continue;
+    }
+    const problem = validateValue(config[key], schema);
+    if (problem) {
+      problems.push(`${key} (${sources[key]}): ${problem}`);
+    }
+  }
+  if (problems.length) {
+    throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return { config, filename, profile };
+}
+
+/**
+ * Replaces the template selection and the subtypes of a config file, or of
+ * one of its profiles, keeping its other keys and its comments. A profile gets
+ * empty `reportLabels`, `reportPatterns` and `migrateAllTemplates`, so that
+ * the selection of the rest of the file does not add to the saved one
+ * @param {String} filename
+ * @param {?String} profile
+ * @param {{names: String[], subtypes: String[]}} selection DeveloperNames of
+ * the templates and subtypes to migrate
+ */
+export async function saveTemplateSelection(filename, profile, { names, subtypes }) {
+  const document = parseDocument(await readFile(filename, 'utf8'));
+  const path = profile ? ['profiles', profile] : [];
+  const otherSelectionKeys = { reportLabels: [], reportPatterns: [], migrateAllTemplates: false };
+  for (const [key, emptyValue] of Object.entries(otherSelectionKeys)) {
+    if (profile) {
+      document.setIn([...path, key], emptyValue);
+    } else {
+      document.delete(key);
+    }
+  }
+  document.setIn([...path, 'reportNames'], names);
+  document.setIn([...path, 'reportSubtypesToMigrate'], subtypes);
+  await writeFile(filename, document.toString());
+}
+
+/**
+ * @param {String} key config key, e.g. `writePOSTDataToFile`
+ * @returns {String} its environment variable, e.g. `SRTM_WRITE_POST_DATA_TO_FILE`
+ */
+export function toEnvName(key) {
+  return CONFIG_ENV_PREFIX + key
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .toUpperCase();
+}
+
+/**
+ * String keys take the value as it is, the others parse it as YAML and
+ * string lists also take comma separated values
+ * @param {String} key
+ * @param {String} value
+ */
+function parseOverrideValue(key, value) {
+  const { type } = CONFIG_SCHEMA[key] ?? {};
+  if (type === 'string' || value === '') {
+    return value === '' ? null : value;
+  }
+  let parsed;
+  try {
+    parsed = parse(value);
+  } catch {
+    return value;
+  }
+  if (type === 'string[]' && typeof parsed === 'string') {
+    return parsed.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return parsed;
+}
+
+/**
+ * @returns {Object} a copy of `object` with `value` at `path`
+ */
+function setIn(object, path, value) {
+  const [key, ...rest] = path;
+  const copy = isPlainObject(object) ? { ...object } : {};
+  copy[key] = rest.length ? setIn(copy[key], rest, value) : value;
+  return copy;
+}
+
+/**
+ * @param {*} value a value that is not null
+ * @param {Object} schema entry of `CONFIG_SCHEMA`
+ * @returns {String|undefined} the problem of the value
+ */
+function validateValue(value, { type, choices, min, validate }) {
+  const describe = actual => JSON.stringify(actual);
+  switch (type) {
+    case 'string':
+    case 'boolean':
+      if (typeof value !== type) {
+        return `expected a ${type}, got ${describe(value)}`;
+      }
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || (type === 'integer' && !Number.isInteger(value))) {
+        return `expected ${type === 'integer' ? 'an integer' : 'a number'}, got ${describe(value)}`;
+      }
+      if (min !== undefined && value < min) {
+        return `expected a value of at least ${min}, got ${value}`;
+      }
+      break;
+    case 'string[]':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return `expected a list of strings, got ${describe(value)}`;
+      }
+      break;
+    case 'object':
+      if (!isPlainObject(value)) {
+        return `expected a map, got ${describe(value)}`;
+      }
+      break;
+  }
+
+  const invalidChoices = [value].flat().filter(item => choices && !choices.includes(item));
+  if (invalidChoices.length) {
+    return `${invalidChoices.map(describe).join(', ')} is not one of ${choices.join(', ')}`;
+  }
+  return validate?.(value);
+}
+
+function validateTemplateMapping(mapping) {
+  const invalidNames = Object.entries(mapping)
+    .filter(([, target]) => ![target].flat().every(name => typeof name === 'string'))
+    .map(([source]) => source);
+  if (invalidNames.length) {
+    return `the target of ${invalidNames.join(', ')} must be a DeveloperName or a list of DeveloperNames`;
+  }
+}
+
+function validateTargetOrgs(targetOrgs) {
+  const invalidNames = Object.entries(targetOrgs)
+    .filter(([, targetOrg]) => !isPlainObject(targetOrg))
+    .map(([name]) => name);
+  if (invalidNames.length) {
+    return `the target orgs ${invalidNames.join(', ')} must be maps of auth keys`;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,3012 @@
+/*
+ * Copyright (c) 2022, Daniel Nakonieczny
+ * All rights reserved.
+ * date: June 28 2022
+ * description: Library API of the Service Report Template Migrator. Every
+ * function takes explicit jsforce connections and options and returns its
+ * results, report_template_migrator.js is the command line wrapper over it
+ */
+
+import { launch } from 'puppeteer';
+import { writeFile, readFile, mkdir, readdir } from 'fs/promises';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+export const SUPPORTED_SUBTYPES = {
+  SA_WO: 'Service Appointment for Work Order',
+  SA_WOLI: 'Service Appointment for Work Order Line Item',
+  WO: 'Work Order',
+  WOLI: 'Work Order Line Item',
+};
+export const BUNDLE_FORMAT_VERSION = 2;
+// objects whose fields a subtype can show, fields of other objects (related
+// lists, custom objects) are not checked by the linter
+const SUBTYPE_OBJECTS = {
+  SA_WO: ['ServiceAppointment', 'WorkOrder'],
+  SA_WOLI: ['ServiceAppointment', 'WorkOrderLineItem', 'WorkOrder'],
+  WO: ['WorkOrder'],
+  WOLI: ['WorkOrderLineItem', 'WorkOrder'],
+};
+const LINTED_OBJECTS = ['ServiceAppointment', 'WorkOrder', 'WorkOrderLineItem'];
+// bundle template metadata key => ServiceReportLayout field
+const TEMPLATE_METADATA_FIELDS = {
+  masterLabel: 'MasterLabel',
+  templateType: 'TemplateType',
+  isActive: 'IsActive',
+  isDefault: 'IsDefault',
+};
+const PRUNE_MODES = ['deactivate', 'delete'];
+// what to do with a field that is missing in the target org
+export const MISSING_FIELD_POLICIES = ['fail', 'remove', 'placeholder'];
+const FIELD_NAME_REGEX = /^\w+\.\w+$/;
+
+/**
+ * Options taken by the API functions, any option that is not passed gets its
+ * value from here
+ */
+export const DEFAULT_OPTIONS = {
+  // report/subtype layouts
+  subtypes: Object.keys(SUPPORTED_SUBTYPES),
+  templateMapping: {},
+  removeSourceImages: false,
+  imageReplacementText: '',
+  migrateSourceImages: false,
+  imageDocumentFolder: undefined,
+  // source field (`Object.Field__c`) => `{target, ifMissing, placeholder}`:
+  // the target org field it is mapped to and what to do when it is missing
+  fieldRules: {},
+  // what to do with a missing field that has no `ifMissing` rule: `fail`,
+  // `remove` it from the layout or put a `placeholder` in its place
+  missingFieldPolicy: 'fail',
+  missingFieldPlaceholder: '',
+  // browser
+  browser: undefined,
+  headless: false,
+  windowWidth: 1800,
+  windowHeight: 1000,
+  browserArgs: [],
+  actionTimeout: 30000,
+  // browser logins and page navigations that fail are retried `retries`
+  // times, after `retryDelay` milliseconds doubled on every attempt
+  retries: 2,
+  retryDelay: 1000,
+  concurrency: 1,
+  taskTimeout: undefined,
+  writePOSTDataToFile: false,
+  // report/subtype name => `jsonLayout` param captured by an earlier run,
+  // those report/subtypes are not retrieved again
+  retrievedLayouts: {},
+  // called with the report/subtype name and its `jsonLayout` param as soon as
+  // a layout is captured from the source org
+  onLayoutRetrieved: undefined,
+  // deployment
+  createMissingTemplates: true,
+  // report/subtype names (`<DeveloperName>_<subtype>`) deployed by an earlier
+  // run, they are not deployed again
+  deployedTemplates: [],
+  // called with the DeveloperName of every template created in the target org
+  onTemplateCreated: undefined,
+  // makes the label, type and active and default flags of the target
+  // templates match the source templates of the bundle
+  syncTemplateMetadata: true,
+  // `deactivate` or `delete` the target templates that are not deployed
+  prune: undefined,
+  verifyDeployment: false,
+  backupDirectory: undefined,
+  targetOrgName: 'target',
+  // folder of the backup in `backupDirectory`/`targetOrgName`, defaults to
+  // the time of the deploy. Deploys with the same name add to the same backup
+  backupName: undefined,
+  // org metadata
+  metadataCacheDirectory: undefined,
+  metadataCacheMaxAge: undefined,
+  refreshMetadataCache: false,
+  // called with the result of every report/subtype that is retrieved,
+  // planned, deployed, rolled back or verified
+  onTemplateResult: undefined,
+};
+
+/**
+ * Translators of the org-specific record IDs that layouts can contain, one per
+ * key prefix. `lookup(connection, ids)` returns the durable name of the IDs
+ * found in an org, `resolve(connection, names)` the ID of the names found in
+ * an org. Stored templates reference them as `{{kind:name}}`
+ */
+const ID_RESOLVERS = {
+  field: { prefix: '00N', lookup: lookupFieldReferences, resolve: resolveFieldReferences },
+  object: { prefix: '01I', lookup: lookupObjectReferences, resolve: resolveObjectReferences },
+  recordType: { prefix: '012', lookup: lookupRecordTypeReferences, resolve: resolveRecordTypeReferences },
+  document: { prefix: '015', lookup: lookupDocumentReferences, resolve: resolveDocumentReferences },
+  staticResource: { prefix: '081', lookup: lookupStaticResourceReferences, resolve: resolveStaticResourceReferences },
+  organization: { prefix: '00D', lookup: lookupOrganizationReferences, resolve: resolveOrganizationReferences },
+};
+const ID_PREFIX_TO_KIND = Object.fromEntries(
+  Object.entries(ID_RESOLVERS).map(([kind, { prefix }]) => [prefix, kind]),
+);
+// symbolic references (`{{...}}`, plain or URL-encoded) are matched first so
+// that the IDs are never looked for inside of them. An ID is a whole run of
+// letters and digits (not a part of base64 data or a longer name), which may
+// follow a `%XX` escape of a URL-encoded layout
+const ORG_ID_REGEX = new RegExp(
+  `%7B%7B.*?%7D%7D|\\{\\{.*?\\}\\}|(?<=^|[^a-zA-Z0-9]|%[0-9A-F]{2})(${Object.keys(ID_PREFIX_TO_KIND).join('|')})[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?(?![a-zA-Z0-9])`,
+  'g',
+);
+const REFERENCE_TOKEN_REGEX = new RegExp(
+  `%7B%7B(${Object.keys(ID_RESOLVERS).join('|')})%3A([a-zA-Z0-9_.]+)%7D%7D`,
+  'g',
+);
+// the master record type has the same ID in every org
+const ORG_INDEPENDENT_IDS = ['012000000000000'];
+const JSON_LAYOUT_PARAM_REGEX = /j_id0%3Af%3AjsonLayout[^&?]*?=[^&?]*/;
+const JSON_LAYOUT_PARAM_PREFIX = 'j_id0%3Af%3AjsonLayout=';
+const EDITOR_ERROR_MESSAGE_SELECTOR = '.message.errorM3 .messageText, .errorMsg';
+const EDITOR_CONFIRM_MESSAGE_SELECTOR = '.message.confirmM3 .messageText';
+const EDITOR_ERROR_MESSAGE_REGEX = /class="[^"]*\b(errorM3|errorMsg)\b/;
+const IMG_TAG_REGEX_1 = /(?<=%3Cimg).*?(?=%2F%3E)/g;
+const IMG_TAG_REGEX_2 = /(?<=%3Cimg).*?(?=%3C%2Fimg%3E)/g;
+const EMPTY_IMG_TAG_1 = '%3Cimg%2F%3E';
+const EMPTY_IMG_TAG_2 = '%3Cimg%3C%2Fimg%3E';
+const IMG_SRC_REGEX = /(<img\b[^>]*?\bsrc=["'])([^"']+)(["'])/gi;
+const IMAGE_TOKEN_REGEX = /%7B%7Bimage%3A([a-zA-Z0-9_.-]+)%7D%7D/g;
+const DECODED_TOKEN_REGEX = /\{\{(\w+):([a-zA-Z0-9_.-]+)\}\}/g;
+// images uploaded as Documents are served by the ImageServer servlet and can
+// be deployed, other uploaded images make the Quick Save fail
+const DOCUMENT_IMAGE_REGEX = /\/servlet\/servlet\.ImageServer\?/;
+const ORG_HOSTED_IMAGE_HOST_REGEX = /\.(salesforce|force|documentforce|visualforce)\.com$/;
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'image/svg+xml': 'svg',
+};
+const BUNDLE_MANIFEST_FILENAME = 'manifest.json';
+const BUNDLE_IMAGES_DIRECTORY = 'images';
+const QUERY_CHUNK_SIZE = 200;
+const METADATA_CACHE_FORMAT_VERSION = 1;
+
+// metadata cache of each connection, see getMetadataCache
+const metadataCaches = new WeakMap();
+
+/**
+ * Launches the Chromium browser that drives the template editor. Pass it as
+ * the `browser` option to share it between calls, otherwise every call
+ * launches and closes its own
+ * @param {Object} [options] `headless`, `windowWidth`, `windowHeight` and `browserArgs`
+ * @returns {Promise<Browser>}
+ */
+export async function launchBrowser(options = {}) {
+  const { headless, windowWidth, windowHeight, browserArgs } = withDefaults(options);
+  console.log(`info: opening browser ${headless && 'in headless mode' || ''}`);
+  return launch({
+    headless,
+    args: [`--window-size=${windowWidth},${windowHeight}`, ...browserArgs],
+    defaultViewport: {
+      width: windowWidth,
+      height: windowHeight,
+    },
+  });
+}
+
+/**
+ * Resolves a template selection against an org with a single query
+ * @param {jsforce.Connection} connection
+ * @param {{names: String[], labels: String[], patterns: String[], all: Boolean}} selection
+ * DeveloperNames, labels, patterns (see `toTemplatePatternRegex`) or every
+ * active template
+ * @returns {Promise<Object>} DeveloperName => ServiceReportLayout Id of the selected templates
+ * @throws {Error} if nothing is selected or a name/label is not in the org
+ */
+export async function selectTemplates(connection, selection = {}) {
+  const { names = [], labels = [], patterns = [] } = selection;
+  console.log('fine: resolving template selection in source org')
+  const templates = await queryAllRecords(
+    connection,
+    'SELECT Id, DeveloperName, MasterLabel, IsActive FROM ServiceReportLayout ORDER BY DeveloperName',
+  );
+
+  const missingNames = names
+    .filter(name => !templates.some(template => template.DeveloperName === name));
+  const missingLabels = labels
+    .filter(label => !templates.some(template => template.MasterLabel === label));
+  if (missingNames.length || missingLabels.length) {
+    throw new Error(`Missing reports ${[...missingNames, ...missingLabels].join(', ')}`)
+  }
+
+  const patternRegexes = patterns.map(pattern => ({ pattern, regex: toTemplatePatternRegex(pattern) }));
+  for (const { pattern, regex } of patternRegexes) {
+    if (!templates.some(template => regex.test(template.DeveloperName) || regex.test(template.MasterLabel))) {
+      console.log(`warn: pattern '${pattern}' does not match any template`);
+    }
+  }
+
+  const selectedTemplates = templates.filter(template => isTemplateSelected(template, selection, patternRegexes));
+  if (!selectedTemplates.length) {
+    throw new Error('No report templates selected, set reportNames, reportLabels, reportPatterns or migrateAllTemplates');
+  }
+
+  const templateIds = Object.fromEntries(
+    selectedTemplates.map(template => [template.DeveloperName, template.Id]),
+  );
+  console.log(`fine: selected ${selectedTemplates.length} template(s): ${Object.keys(templateIds).join(', ')}`);
+  return templateIds;
+}
+
+/**
+ * Lists the templates of the source org with the state of their target
+ * templates, for picking the templates to migrate
+ * @param {jsforce.Connection} sourceConnection
+ * @param {jsforce.Connection} targetConnection
+ * @param {Object} [options] `selection` (see `selectTemplates`) to mark as
+ * selected, and `templateMapping`
+ * @returns {Promise<Object[]>} `{id, developerName, masterLabel, isActive,
+ * lastModifiedDate, selected, targets}` by DeveloperName, `targets` has a
+ * `{developerName, lastModifiedDate}` for every target template, with a null
+ * date when it does not exist in the target org
+ */
+export async function listTemplates(sourceConnection, targetConnection, options = {}) {
+  const { selection = {}, templateMapping = {} } = options;
+  const query = 'SELECT Id, DeveloperName, MasterLabel, IsActive, LastModifiedDate FROM ServiceReportLayout ORDER BY DeveloperName';
+  const [sourceTemplates, targetTemplates] = await Promise.all([
+    queryAllRecords(sourceConnection, query),
+    queryAllRecords(targetConnection, query),
+  ]);
+  const patternRegexes = (selection.patterns ?? []).map(pattern => ({ pattern, regex: toTemplatePatternRegex(pattern) }));
+
+  return sourceTemplates.map(template => ({
+    id: template.Id,
+    developerName: template.DeveloperName,
+    masterLabel: template.MasterLabel,
+    isActive: template.IsActive,
+    lastModifiedDate: template.LastModifiedDate,
+    selected: isTemplateSelected(template, selection, patternRegexes),
+    targets: [templateMapping[template.DeveloperName] ?? template.DeveloperName].flat().map(targetName => ({
+      developerName: targetName,
+      lastModifiedDate: targetTemplates.find(target => target.DeveloperName === targetName)?.LastModifiedDate ?? null,
+    })),
+  }));
+}
+
+/**
+ * Retrieves the layouts of report templates from the source org and makes
+ * them org independent: every org-specific ID is replaced with a symbolic
+ * reference (`{{kind:name}}`) to the durable name of its record
+ * @param {jsforce.Connection} sourceConnection
+ * @param {Object} options `templates` (DeveloperName => ServiceReportLayout
+ * Id, as returned by `selectTemplates`) or `selection`, plus any of `DEFAULT_OPTIONS`
+ * @returns {Promise<Object>} the template bundle: `sourceOrg`, `reportNames`,
+ * `subtypes`, `layouts` (report/subtype name => URL-encoded `jsonLayout`
+ * param), `references` (reference => source org ID), `images` and
+ * `templateMetadata` (DeveloperName => label, type, flags and subtypes)
+ * @throws {Error} if a report/subtype layout could not be retrieved
+ */
+export async function retrieveTemplates(sourceConnection, options) {
+  options = withDefaults(options);
+  const templateIds = options.templates ?? await selectTemplates(sourceConnection, options.selection);
+  const bundle = {
+    sourceOrg: sourceConnection.instanceUrl,
+    reportNames: Object.keys(templateIds),
+    subtypes: options.subtypes,
+    layouts: {},
+    references: {},
+    images: [],
+  };
+
+  await withOrgBrowserContext(sourceConnection, options, async context => {
+    console.log('info: grabing source report links');
+    const reportNameToURLMapSource = await grabReportLinks(
+      context,
+      sourceConnection.instanceUrl,
+      templateIds,
+      options,
+    );
+    console.log('info: Grabing source reports');
+    bundle.layouts = await grabSourceOrgReportJSON(context, sourceConnection, reportNameToURLMapSource, options);
+    if (options.migrateSourceImages) {
+      console.log('info: downloading uploaded images from source org');
+      bundle.images = await downloadSourceImages(context, sourceConnection, bundle.layouts);
+    }
+  });
+
+  await getMetadataCache(sourceConnection, options);
+  console.log('info: extracting source org information')
+  const sourceIdToReference = await extractSourceOrgReferences(sourceConnection, bundle.layouts);
+  console.log('info: replacing source org Ids with symbolic references')
+  bundle.references = replaceSourceIdsWithTokens(bundle.layouts, sourceIdToReference);
+  bundle.templateMetadata = await getSourceTemplateMetadata(sourceConnection, bundle);
+  return bundle;
+}
+
+/**
+ * Reads the label, type and active and default flags of the templates of a
+ * bundle from the source org, with the subtypes that have a layout
+ * @param {jsforce.Connection} sourceConnection
+ * @param {Object} bundle
+ * @returns {Promise<Object>} DeveloperName => `{masterLabel, templateType, isActive, isDefault, subtypes}`
+ */
+async function getSourceTemplateMetadata(sourceConnection, bundle) {
+  const templates = await queryTemplateMetadata(sourceConnection);
+  return Object.fromEntries(bundle.reportNames.map(reportName => {
+    const template = templates.find(({ DeveloperName }) => DeveloperName === reportName) ?? {};
+    return [reportName, {
+      ...Object.fromEntries(Object.entries(TEMPLATE_METADATA_FIELDS).map(([key, field]) => [key, template[field] ?? null])),
+      subtypes: bundle.subtypes.filter(subtype => bundle.layouts[`${reportName}_${subtype}`]),
+    }];
+  }));
+}
+
+/**
+ * Applies `templateMapping` to the source templates
+ * @param {String[]} sourceNames DeveloperNames of the source templates
+ * @param {Object} mapping source DeveloperName => target DeveloperName or
+ * list of target DeveloperNames, templates that are not mapped keep their name
+ * @returns {Object} target DeveloperName => source DeveloperName
+ */
+export function mapTemplateNames(sourceNames, mapping = {}) {
+  const unknownNames = Object.keys(mapping).filter(sourceName => !sourceNames.includes(sourceName));
+  if (unknownNames.length) {
+    console.log(`warn: templateMapping has templates that are not migrated: ${unknownNames.join(', ')}`);
+  }
+
+  const targetToSourceName = {};
+  for (const sourceName of sourceNames) {
+    for (const targetName of [mapping[sourceName] ?? sourceName].flat()) {
+      if (targetToSourceName[targetName]) {
+        throw new Error(
+          `Target template '${targetName}' is mapped from both '${targetToSourceName[targetName]}' and '${sourceName}'`,
+        );
+      }
+      targetToSourceName[targetName] = sourceName;
+    }
+  }
+  return targetToSourceName;
+}
+
+/**
+ * Resolves the symbolic references of the layouts against the target org,
+ * with the resolver of each kind. Fields are looked up under the target name
+ * of their `fieldRules`
+ * @param {jsforce.Connection} targetConnection
+ * @param {Object} layouts report/subtype name => URL-encoded `jsonLayout` param
+ * @param {Object} [options] any of `DEFAULT_OPTIONS`, references inside of
+ * images that are removed (`removeSourceImages`) are not resolved
+ * @returns {Promise<{referenceToTargetId: Object, missingReferences: String[], droppedReferences: Object}>}
+ * reference (`kind:name`) => target org ID, the references missing in the
+ * target org that fail the deploy, and the missing fields that are removed or
+ * replaced with a placeholder instead (reference => `remove` or `placeholder`)
+ */
+export async function mapFieldIds(targetConnection, layouts, options = {}) {
+  options = withDefaults(options);
+  validateFieldRules(options);
+  await getMetadataCache(targetConnection, options);
+
+  const namesByKind = {};
+  for (const currentReportName in layouts) {
+    for (const [, kind, name] of removeSourceImages(layouts[currentReportName], options).jsonLayout.matchAll(REFERENCE_TOKEN_REGEX)) {
+      (namesByKind[kind] ??= new Set()).add(name);
+    }
+  }
+
+  if (!Object.keys(namesByKind).length) {
+    console.log('fine: no org-specific references found, nothing to match');
+    return { referenceToTargetId: {}, missingReferences: [], droppedReferences: {} };
+  }
+
+  const referenceToTargetId = {};
+  const missingReferences = [];
+  const droppedReferences = {};
+  for (const [kind, names] of Object.entries(namesByKind)) {
+    const nameToTargetName = new Map(
+      [...names].map(name => [name, kind === 'field' ? getFieldRule(name, options).target : name]),
+    );
+    const nameToId = await resolveReferences(targetConnection, kind, [...new Set(nameToTargetName.values())]);
+    for (const [name, targetName] of nameToTargetName) {
+      const renamed = targetName === name ? '' : ` (as ${targetName})`;
+      const ifMissing = kind === 'field' ? getFieldRule(name, options).ifMissing : 'fail';
+      if (nameToId[targetName]) {
+        console.log(`fine: ${kind} ${name}${renamed}, target id: ${nameToId[targetName]}`);
+        referenceToTargetId[`${kind}:${name}`] = nameToId[targetName];
+      } else if (ifMissing === 'fail') {
+        missingReferences.push(`${kind}:${name}`);
+      } else {
+        console.log(`warn: ${kind} ${name}${renamed} is missing in target org, ${describeFieldPolicy(ifMissing)}`);
+        droppedReferences[`${kind}:${name}`] = ifMissing;
+      }
+    }
+  }
+  return { referenceToTargetId, missingReferences, droppedReferences };
+}
+
+/**
+ * Returns the rule of a source field with the defaults of the options applied
+ * @param {String} name source field, `Object.Field__c`
+ * @param {Object} options
+ * @returns {{target: String, ifMissing: String, placeholder: String}}
+ */
+function getFieldRule(name, { fieldRules, missingFieldPolicy, missingFieldPlaceholder }) {
+  const rule = fieldRules[name] ?? {};
+  return {
+    target: rule.target ?? name,
+    ifMissing: rule.ifMissing ?? missingFieldPolicy,
+    placeholder: rule.placeholder ?? missingFieldPlaceholder,
+  };
+}
+
+function describeFieldPolicy(ifMissing) {
+  return ifMissing === 'remove' ? 'removed from the layout' : 'replaced with a placeholder';
+}
+
+/**
+ * @throws {Error} if `fieldRules` or `missingFieldPolicy` are not valid
+ */
+function validateFieldRules({ fieldRules, missingFieldPolicy }) {
+  if (!MISSING_FIELD_POLICIES.includes(missingFieldPolicy)) {
+    throw new Error(`Invalid missingFieldPolicy '${missingFieldPolicy}', expected one of ${MISSING_FIELD_POLICIES.join(', ')}`);
+  }
+  for (const [name, rule] of Object.entries(fieldRules)) {
+    const invalidRule = message => new Error(`Invalid field rule for '${name}': ${message}`);
+    if (!FIELD_NAME_REGEX.test(name)) {
+      throw invalidRule('fields are named Object.Field__c');
+    }
+    if (!isPlainObject(rule)) {
+      throw invalidRule('expected an object with target, ifMissing or placeholder');
+    }
+    const unknownKeys = Object.keys(rule).filter(key => !['target', 'ifMissing', 'placeholder'].includes(key));
+    if (unknownKeys.length) {
+      throw invalidRule(`unknown key(s) ${unknownKeys.join(', ')}`);
+    }
+    if (rule.target !== undefined && !FIELD_NAME_REGEX.test(rule.target)) {
+      throw invalidRule(`target '${rule.target}' is not named Object.Field__c`);
+    }
+    if (rule.ifMissing !== undefined && !MISSING_FIELD_POLICIES.includes(rule.ifMissing)) {
+      throw invalidRule(`ifMissing '${rule.ifMissing}' is not one of ${MISSING_FIELD_POLICIES.join(', ')}`);
+    }
+    if (rule.placeholder !== undefined && typeof rule.placeholder !== 'string') {
+      throw invalidRule('placeholder must be a text');
+    }
+  }
+}
+
+/**
+ * Replaces the symbolic references of a stored layout with the target org
+ * IDs and the image references with the uploaded images, removes the images
+ * when `removeSourceImages` is set and images are not migrated, and removes
+ * or replaces with a placeholder the fields that are not mapped, per
+ * `fieldRules` and `missingFieldPolicy`
+ * @param {String} jsonLayout URL-encoded `jsonLayout` param from a bundle
+ * @param {Object} options `referenceToTargetId` (as returned by
+ * `mapFieldIds`), `imageFileToTargetUrl` (as returned by
+ * `uploadTemplateImages`) and any of `DEFAULT_OPTIONS`
+ * @returns {{jsonLayout: String, imagesRemoved: Number}}
+ */
+export function transformTemplate(jsonLayout, options) {
+  const { referenceToTargetId = {}, imageFileToTargetUrl = {} } = options;
+  const { jsonLayout: imagesString, imagesRemoved } = removeSourceImages(jsonLayout, withDefaults(options));
+  const jsonString = dropMissingFields(imagesString, referenceToTargetId, withDefaults(options));
+
+  const replacedJsonString = jsonString.replaceAll(
+    REFERENCE_TOKEN_REGEX,
+    (token, kind, name) => {
+      const targetOrgId = referenceToTargetId[`${kind}:${name}`];
+      if (!targetOrgId) {
+        return token;
+      }
+      console.log(
+        `fine: target org Id of ${kind} ${name}: ${targetOrgId}`,
+      );
+      return targetOrgId;
+    },
+  ).replaceAll(
+    IMAGE_TOKEN_REGEX,
+    (token, file) => imageFileToTargetUrl[file]
+      ? encodeURIComponent(imageFileToTargetUrl[file].replaceAll('&', '&amp;'))
+      : token,
+  );
+
+  return { jsonLayout: replacedJsonString, imagesRemoved };
+}
+
+/**
+ * Removes the fields of a layout that are not mapped to the target org and
+ * whose policy is `remove`, or replaces them with their placeholder. A layout
+ * element that shows the field is removed or keeps its other keys with the
+ * placeholder as `text`, the field in a longer text is removed or replaced
+ * @param {String} jsonString URL-encoded layout
+ * @param {Object} referenceToTargetId
+ * @param {Object} options
+ * @returns {String}
+ */
+function dropMissingFields(jsonString, referenceToTargetId, options) {
+  // the policy of a `{{field:name}}` token that is not mapped, if not `fail`
+  const getPolicy = token => {
+    const [, name] = typeof token === 'string' ? /^\{\{field:([a-zA-Z0-9_.-]+)\}\}$/.exec(token) ?? [] : [];
+    if (!name || referenceToTargetId[`field:${name}`]) {
+      return undefined;
+    }
+    const { ifMissing, placeholder } = getFieldRule(name, options);
+    return ifMissing === 'fail' ? undefined : { ifMissing, placeholder };
+  };
+  const droppedTokens = [...jsonString.matchAll(REFERENCE_TOKEN_REGEX)]
+    .map(([, kind, name]) => `{{${kind}:${name}}}`)
+    .filter(getPolicy);
+  if (!droppedTokens.length) {
+    return jsonString;
+  }
+
+  const dropFields = value => {
+    if (typeof value === 'string') {
+      return value.replaceAll(DECODED_TOKEN_REGEX, token => {
+        const policy = getPolicy(token);
+        return !policy ? token : policy.ifMissing === 'remove' ? '' : policy.placeholder;
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.flatMap(element => {
+        const fieldKey = isPlainObject(element)
+          ? Object.keys(element).find(key => getPolicy(element[key]))
+          : typeof element === 'string' && getPolicy(element) && 'element';
+        if (!fieldKey) {
+          return [dropFields(element)];
+        }
+        const { ifMissing, placeholder } = getPolicy(fieldKey === 'element' ? element : element[fieldKey]);
+        if (ifMissing === 'remove') {
+          return [];
+        }
+        if (fieldKey === 'element') {
+          return [placeholder];
+        }
+        const otherKeys = Object.fromEntries(Object.entries(element).filter(([key]) => key !== fieldKey));
+        return [{ ...dropFields(otherKeys), text: placeholder }];
+      });
+    }
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, element]) => [key, dropFields(element)]));
+    }
+    return value;
+  };
+  return encodeJsonLayout(dropFields(decodeJsonLayout(jsonString)));
+}
+
+/**
+ * Removes the images of a layout when `removeSourceImages` is set and images
+ * are not migrated, leaving `imageReplacementText` in their place
+ * @param {String} jsonString URL-encoded layout
+ * @param {Object} options
+ * @returns {{jsonLayout: String, imagesRemoved: Number}}
+ */
+function removeSourceImages(jsonString, { removeSourceImages, migrateSourceImages, imageReplacementText }) {
+  if (!removeSourceImages || migrateSourceImages) {
+    return { jsonLayout: jsonString, imagesRemoved: 0 };
+  }
+  return {
+    jsonLayout: jsonString
+      .replaceAll(IMG_TAG_REGEX_1, '')
+      .replaceAll(IMG_TAG_REGEX_2, '')
+      .replaceAll(EMPTY_IMG_TAG_1, imageReplacementText)
+      .replaceAll(EMPTY_IMG_TAG_2, imageReplacementText),
+    imagesRemoved: (jsonString.match(/%3Cimg/g) || []).length,
+  };
+}
+
+/**
+ * Lists what `deployTemplates` would do in the target org without changing
+ * it: the templates deployed under another name or created, the
+ * report/subtype layouts that would be overwritten or deployed, the template
+ * metadata that would be synced and the templates that would be pruned
+ * @param {jsforce.Connection} targetConnection
+ * @param {Object} bundle bundle with transformed layouts
+ * @param {Object} [options] any of `DEFAULT_OPTIONS`
+ * @returns {Promise<Object>}
+ */
+export async function planDeployment(targetConnection, bundle, options = {}) {
+  options = withDefaults(options);
+  validatePruneMode(options);
+  const targetTemplateNames = mapTemplateNames(bundle.reportNames, options.templateMapping);
+  const getLayoutForTarget = (targetName, subtype) =>
+    bundle.layouts[`${targetTemplateNames[targetName]}_${subtype}`];
+
+  const templateIds = await queryTemplateIds(targetConnection, Object.keys(targetTemplateNames));
+  const missingReports = Object.keys(targetTemplateNames).filter(reportName => !templateIds[reportName]);
+  const layoutsToDeploy = Object.keys(targetTemplateNames).flatMap(reportName =>
+    options.subtypes
+      .filter(subtype => getLayoutForTarget(reportName, subtype))
+      .map(subtype => ({ reportName, subtype })),
+  );
+  layoutsToDeploy.forEach(({ reportName, subtype }) => reportTemplateResult(options, 'deploy', reportName, subtype, {
+    status: 'planned',
+    sourceTemplate: targetTemplateNames[reportName],
+  }));
+
+  const targetTemplates = options.syncTemplateMetadata || options.prune
+    ? await queryTemplateMetadata(targetConnection)
+    : [];
+
+  return {
+    renamedTemplates: Object.entries(targetTemplateNames)
+      .filter(([targetName, sourceName]) => targetName !== sourceName)
+      .map(([targetName, sourceName]) => ({ sourceName, targetName })),
+    templatesToCreate: missingReports,
+    templateMetadataChanges: options.syncTemplateMetadata
+      ? getTemplateMetadataChanges(bundle, targetTemplateNames, targetTemplates)
+      : [],
+    templatesToPrune: getTemplatesToPrune(targetTemplateNames, targetTemplates, options),
+    layoutsToOverwrite: layoutsToDeploy.filter(({ reportName }) => !missingReports.includes(reportName)),
+    layoutsToCreate: layoutsToDeploy.filter(({ reportName }) => missingReports.includes(reportName)),
+    imagesToUpload: Object.fromEntries(
+      Object.entries(bundle.layouts)
+        .map(([reportVersionName, jsonLayout]) => [reportVersionName, [...jsonLayout.matchAll(IMAGE_TOKEN_REGEX)].length])
+        .filter(([, count]) => count),
+    ),
+  };
+}
+
+/**
+ * Deploys the layouts of a bundle to the target org through the template
+ * editor: creates the missing templates, backs up the target layouts that
+ * get overwritten, saves every report/subtype and verifies it. Once every
+ * layout is deployed, syncs the template metadata (`syncTemplateMetadata`)
+ * and prunes the templates that are not deployed (`prune`)
+ * @param {jsforce.Connection} targetConnection
+ * @param {Object} bundle bundle with layouts transformed by `transformTemplate`
+ * @param {Object} [options] any of `DEFAULT_OPTIONS`
+ * @returns {Promise<{targetTemplateNames: Object, backupDirectory: ?String}>}
+ * target DeveloperName => source DeveloperName, and the backup of this deploy
+ * @throws {Error} if any report/subtype was not saved or does not match once
+ * verified, or a template could not be synced or pruned
+ */
+export async function deployTemplates(targetConnection, bundle, options = {}) {
+  options = withDefaults(options);
+  validatePruneMode(options);
+  const result = await deployLayouts(targetConnection, bundle, options, 'deploy');
+
+  if (options.syncTemplateMetadata || options.prune) {
+    const targetTemplates = await queryTemplateMetadata(targetConnection);
+    if (options.syncTemplateMetadata) {
+      console.log('info: syncing template metadata');
+      await updateTargetTemplates(
+        targetConnection,
+        getTemplateMetadataChanges(bundle, result.targetTemplateNames, targetTemplates),
+        options,
+      );
+    }
+    if (options.prune) {
+      console.log(`info: pruning templates that are not deployed (${options.prune})`);
+      await updateTargetTemplates(
+        targetConnection,
+        getTemplatesToPrune(result.targetTemplateNames, targetTemplates, options),
+        options,
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * Deploys a backup written by `deployTemplates` back as it is, without any
+ * field mapping. A rollback does not back up the layouts it overwrites, so
+ * the latest backup stays the one of the deploy and can be restored again
+ * @param {jsforce.Connection} targetConnection
+ * @param {Object} backup bundle read with `readTemplateBundle`
+ * @param {Object} [options] any of `DEFAULT_OPTIONS`
+ * @returns {Promise<{targetTemplateNames: Object, backupDirectory: ?String}>}
+ */
+export async function rollbackTemplates(targetConnection, backup, options = {}) {
+  options = withDefaults({
+    ...options,
+    subtypes: backup.subtypes,
+    templateMapping: {},
+    createMissingTemplates: false,
+    syncTemplateMetadata: false,
+    prune: undefined,
+    backupDirectory: null,
+  });
+  return deployLayouts(targetConnection, backup, options, 'rollback');
+}
+
+async function deployLayouts(targetConnection, bundle, options, operation) {
+  // they are not in the layouts, deploying without them would skip them silently
+  const malformedFiles = Object.values(bundle.malformedLayouts ?? {}).map(({ file }) => file);
+  if (malformedFiles.length) {
+    throw new Error(`Malformed layout files in the bundle: ${malformedFiles.join(', ')}`);
+  }
+  const targetTemplateNames = mapTemplateNames(bundle.reportNames, options.templateMapping);
+  const deployment = {
+    connection: targetConnection,
+    options,
+    operation,
+    targetTemplateNames,
+    getLayoutForTarget: (targetName, subtype) => bundle.layouts[`${targetTemplateNames[targetName]}_${subtype}`],
+    backupDirectory: undefined,
+    backupTemplates: [],
+    backupQueue: Promise.resolve(),
+  };
+
+  await withOrgBrowserContext(targetConnection, options, async context => {
+    if (options.createMissingTemplates) {
+      console.log('info: Creating missing reports in target');
+      await createReportsInTargetOrg(context, deployment);
+    }
+    console.log('info: Grabing target report links');
+    const reportNameToURLMapTarget = await grabTargetOrgReportLinks(context, deployment);
+    await deployReportTemplatesToTargetOrg(context, deployment, reportNameToURLMapTarget);
+    if (options.verifyDeployment) {
+      console.log('info: verifying target org layouts');
+      await verifyTargetOrgLayouts(context, deployment, reportNameToURLMapTarget);
+    }
+  });
+  return { targetTemplateNames, backupDirectory: deployment.backupDirectory };
+}
+
+/**
+ * Captures the layout of a report template subtype from an org
+ * @param {jsforce.Connection} connection
+ * @param {String} reportName DeveloperName of the template
+ * @param {String} subtype key of SUPPORTED_SUBTYPES
+ * @param {Object} [options] any of `DEFAULT_OPTIONS`
+ * @returns {Promise<Object>} the decoded layout
+ */
+export async function captureTemplateLayout(connection, reportName, subtype, options = {}) {
+  options = withDefaults(options);
+  const templateIds = await queryTemplateIds(connection, [reportName]);
+  if (!templateIds[reportName]) {
+    throw new Error(`Report template '${reportName}' does not exist in org ${connection.instanceUrl}`);
+  }
+
+  const jsonLayoutParam = await withOrgBrowserContext(connection, options, async context => {
+    const { [reportName]: reportUrl } = await grabReportLinks(
+      context,
+      connection.instanceUrl,
+      templateIds,
+      options,
+    );
+    const reportPage = await context.newPage();
+    try {
+      return await captureReportLayout(
+        reportPage,
+        connection.instanceUrl,
+        reportUrl,
+        SUPPORTED_SUBTYPES[subtype],
+        options,
+      );
+    } finally {
+      await reportPage.close();
+    }
+  });
+
+  if (!jsonLayoutParam) {
+    throw new Error(`Could not capture the layout of '${reportName}' / ${SUPPORTED_SUBTYPES[subtype]} in org ${connection.instanceUrl}`);
+  }
+  return decodeJsonLayout(jsonLayoutParam);
+}
+
+/**
+ * Compares two decoded layouts, elements of arrays are matched by what they
+ * are (see `getLayoutElementKey`) instead of by position
+ * @param {Object} left
+ * @param {Object} right
+ * @returns {Object[]} the `added`, `removed` and `changed` values, see `formatLayoutChange`
+ */
+export function diffLayouts(left, right) {
+  const changes = [];
+  diffLayoutNodes(left, right, [], changes);
+  return changes;
+}
+
+/**
+ * Fills in the options that are not set with `DEFAULT_OPTIONS`
+ * @param {Object} [options]
+ */
+function withDefaults(options = {}) {
+  const definedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  return { ...DEFAULT_OPTIONS, ...definedOptions };
+}
+
+/**
+ * Passes the result of a report/subtype operation to the `onTemplateResult` option
+ * @param {Object} options
+ * @param {String} operation `retrieve`, `deploy`, `rollback` or `verify`
+ * @param {String} reportName DeveloperName of the template
+ * @param {String} subtype
+ * @param {Object} result settled result returned by `runOnPagePool`, `{error}`
+ * for a failure or `{status: 'planned'}` for a dry run
+ */
+function reportTemplateResult(options, operation, reportName, subtype, { status, reason, duration, error, sourceTemplate }) {
+  error ??= reason?.message;
+  options.onTemplateResult?.({
+    operation,
+    template: reportName,
+    ...(sourceTemplate && sourceTemplate !== reportName && { sourceTemplate }),
+    subtype,
+    status: status === 'planned' ? 'planned' : error ? 'failed' : 'success',
+    durationMs: duration ?? 0,
+    ...(error && { error }),
+  });
+}
+
+/**
+ * Runs `task` with a browser context logged in to the org of a connection,
+ * in the `browser` option or in a browser launched for the call
+ * @param {jsforce.Connection} connection
+ * @param {Object} options
+ * @param {Function} task called with the browser context
+ */
+async function withOrgBrowserContext(connection, options, task) {
+  const browser = options.browser ?? await launchBrowser(options);
+  let context;
+  try {
+    context = await browser.createIncognitoBrowserContext();
+    console.log(`info: Login to ${connection.instanceUrl} in browser`);
+    await loginToOrg(context, connection, options);
+    return await task(context);
+  } finally {
+    await context?.close().catch(() => {});
+    if (!options.browser) {
+      await browser.close();
+    }
+  }
+}
+
+/**
+ * @param {String} pattern `/regex/flags` or a glob where `*` matches any
+ * characters and `?` a single one
+ * @returns {RegExp}
+ */
+function toTemplatePatternRegex(pattern) {
+  const regexLiteral = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexLiteral) {
+    return new RegExp(regexLiteral[1], regexLiteral[2].replace('g', ''));
+  }
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replaceAll('*', '.*')
+    .replaceAll('?', '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Names, labels and patterns select inactive templates too, `all` only the
+ * active ones
+ * @param {Object} template ServiceReportLayout record with `IsActive`
+ * @param {Object} selection see `selectTemplates`
+ * @param {{regex: RegExp}[]} patternRegexes the compiled `selection.patterns`
+ * @returns {Boolean}
+ */
+function isTemplateSelected(template, { names = [], labels = [], all = false }, patternRegexes) {
+  return (all && template.IsActive) ||
+    names.includes(template.DeveloperName) ||
+    labels.includes(template.MasterLabel) ||
+    patternRegexes.some(({ regex }) => regex.test(template.DeveloperName) || regex.test(template.MasterLabel));
+}
+
+/**
+ * @param {Connection} connection
+ * @param {String[]} developerNames
+ * @returns {Promise<Object>} DeveloperName => ServiceReportLayout Id of the
+ * templates that exist in the org
+ */
+async function queryTemplateIds(connection, developerNames) {
+  const templates = await queryInChunks(connection, developerNames, names =>
+    `SELECT Id, DeveloperName FROM ServiceReportLayout WHERE DeveloperName IN ('${names.join("','")}')`);
+  return Object.fromEntries(templates.map(template => [template.DeveloperName, template.Id]));
+}
+
+/**
+ * @param {Connection} connection
+ * @returns {Promise<Object[]>} every ServiceReportLayout of the org with the
+ * fields of `TEMPLATE_METADATA_FIELDS`
+ */
+async function queryTemplateMetadata(connection) {
+  return queryAllRecords(
+    connection,
+    `SELECT Id, DeveloperName, NamespacePrefix, ${Object.values(TEMPLATE_METADATA_FIELDS).join(', ')} FROM ServiceReportLayout`,
+  );
+}
+
+/**
+ * Compares the target templates with the source metadata of the bundle.
+ * Templates deployed under another name keep their label and are not made
+ * the default, and a flag is only set from a source value
+ * @param {Object} bundle
+ * @param {Object} targetTemplateNames target DeveloperName => source DeveloperName
+ * @param {Object[]} targetTemplates as returned by `queryTemplateMetadata`
+ * @returns {Object[]} `{operation: 'sync', reportName, id, fields, changes}`,
+ * `changes` describes every field that changes
+ */
+function getTemplateMetadataChanges(bundle, targetTemplateNames, targetTemplates) {
+  const changes = [];
+  for (const [targetName, sourceName] of Object.entries(targetTemplateNames)) {
+    const metadata = bundle.templateMetadata?.[sourceName];
+    if (!metadata) {
+      continue;
+    }
+    const missingSubtypes = bundle.subtypes.filter(subtype => !metadata.subtypes.includes(subtype));
+    if (missingSubtypes.length) {
+      console.log(`warn: '${sourceName}' has no ${missingSubtypes.join(', ')} layout in the source org, the target layout is kept`);
+    }
+
+    const target = targetTemplates.find(({ DeveloperName }) => DeveloperName === targetName) ?? {};
+    const fields = {};
+    for (const [key, field] of Object.entries(TEMPLATE_METADATA_FIELDS)) {
+      const renamedOnlyField = targetName !== sourceName && (key === 'masterLabel' || key === 'isDefault');
+      // a template stops being the default when another one becomes it
+      const unsetDefault = key === 'isDefault' && !metadata[key];
+      if (metadata[key] != null && !renamedOnlyField && !unsetDefault && metadata[key] !== target[field]) {
+        fields[field] = metadata[key];
+      }
+    }
+    if (Object.keys(fields).length) {
+      changes.push({
+        operation: 'sync',
+        reportName: targetName,
+        id: target.Id,
+        fields,
+        changes: Object.entries(fields).map(([field, value]) => `${field}: ${target[field] ?? '(none)'} => ${value}`),
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Lists the target templates that are not deployed and that `prune` changes:
+ * active templates to deactivate, or every template to delete. Managed
+ * templates and the default template are kept
+ * @param {Object} targetTemplateNames target DeveloperName => source DeveloperName
+ * @param {Object[]} targetTemplates as returned by `queryTemplateMetadata`
+ * @param {Object} options
+ * @returns {Object[]} `{operation: 'prune', reportName, id, fields, changes}`,
+ * `fields` is `null` to delete the template
+ */
+function getTemplatesToPrune(targetTemplateNames, targetTemplates, { prune }) {
+  if (!prune) {
+    return [];
+  }
+  const templatesToPrune = [];
+  for (const template of targetTemplates) {
+    if (targetTemplateNames[template.DeveloperName] || template.NamespacePrefix) {
+      continue;
+    }
+    if (template.IsDefault) {
+      console.log(`warn: '${template.DeveloperName}' is the default template, not pruning it`);
+      continue;
+    }
+    if (prune === 'delete') {
+      templatesToPrune.push({
+        operation: 'prune', reportName: template.DeveloperName, id: template.Id, fields: null, changes: ['deleted'],
+      });
+    } else if (template.IsActive !== false) {
+      templatesToPrune.push({
+        operation: 'prune',
+        reportName: template.DeveloperName,
+        id: template.Id,
+        fields: { IsActive: false },
+        changes: ['IsActive: true => false'],
+      });
+    }
+  }
+  return templatesToPrune;
+}
+
+/**
+ * Updates, or deletes when their `fields` are `null`, the target templates
+ * returned by `getTemplateMetadataChanges` and `getTemplatesToPrune`
+ * @throws {Error} if any template could not be changed
+ */
+async function updateTargetTemplates(connection, templateChanges, options) {
+  const failedTemplates = [];
+  for (const { operation, reportName, id, fields, changes } of templateChanges) {
+    const startTime = Date.now();
+    try {
+      if (!id) {
+        throw new Error('template not found in target org');
+      }
+      if (fields) {
+        await connection.sobject('ServiceReportLayout').update({ Id: id, ...fields });
+      } else {
+        await connection.sobject('ServiceReportLayout').destroy(id);
+      }
+      console.log(`fine: ${operation} '${reportName}': ${changes.join(', ')}`);
+      reportTemplateResult(options, operation, reportName, null, { duration: Date.now() - startTime });
+    } catch (err) {
+      console.error(`error: ${operation} '${reportName}' failed: ${err.message}`);
+      reportTemplateResult(options, operation, reportName, null, { duration: Date.now() - startTime, error: err.message });
+      failedTemplates.push(reportName);
+    }
+  }
+  if (failedTemplates.length) {
+    throw new Error(`Could not ${templateChanges[0].operation} ${failedTemplates.join(', ')}`);
+  }
+}
+
+function validatePruneMode({ prune }) {
+  if (prune && !PRUNE_MODES.includes(prune)) {
+    throw new Error(`Invalid prune '${prune}', expected one of ${PRUNE_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Opens the frontdoor of the org with the access token of the connection,
+ * which logs the whole browser context in
+ * @param {BrowserContext} context
+ * @param {jsforce.Connection} connection
+ * @param {Object} options
+ */
+async function loginToOrg(context, connection, options) {
+  if (!connection.accessToken) {
+    throw new Error(`Browser login to ${connection.instanceUrl} failed: the connection has no access token`);
+  }
+
+  // sometimes the frontdoor.jsp login doesn't work and has to be tried again
+  await withRetries(options, `browser login to ${connection.instanceUrl}`, async () => {
+    const loginPage = await context.newPage();
+    try {
+      await loginPage.goto(`${connection.instanceUrl}/secur/frontdoor.jsp?sid=${connection.accessToken}`, {
+        waitUntil: 'networkidle0',
+        timeout: options.actionTimeout,
+      });
+
+      const pageUrl = await loginPage.url();
+
+      if (pageUrl.includes('ec=302')) {
+        throw new Error(`Browser login to ${connection.instanceUrl} failed: frontdoor redirected to the login page`);
+      }
+    } finally {
+      await loginPage.close().catch(() => {});
+    }
+  });
+}
+
+/**
+ * Opens `url` in a page, retrying navigation failures
+ * @param {Page} page
+ * @param {String} url
+ * @param {Object} options
+ */
+function gotoPage(page, url, options) {
+  return withRetries(options, `opening ${url}`, () =>
+    page.goto(url, { waitUntil: 'networkidle0', timeout: options.actionTimeout }),
+  );
+}
+
+/**
+ * Runs `task` again when it fails, up to `retries` more times, waiting
+ * `retryDelay` milliseconds doubled on every attempt
+ * @param {{retries: Number, retryDelay: Number}} options
+ * @param {String} label used in the messages
+ * @param {Function} task
+ */
+async function withRetries({ retries, retryDelay }, label, task) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (err) {
+      if (attempt >= retries) {
+        throw err;
+      }
+      const delay = retryDelay * 2 ** attempt;
+      console.log(`warn: ${label} failed (${err.message}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Runs browser tasks on at most `size` pages of a browser context at the same
+ * time. Pages are reused between tasks; a page whose task failed or timed out
+ * is closed and replaced
+ * @param {Browser|BrowserContext} context
+ * @param {Number} size
+ * @param {?Number} taskTimeout milliseconds, no timeout if not set
+ * @returns {{run: Function, close: Function}} `run(label, task)` calls
+ * `task(page)` once a page is free, `close()` closes the idle pages
+ */
+function createPagePool(context, size, taskTimeout) {
+  const idlePages = [];
+  const waitingTasks = [];
+  let pageCount = 0;
+
+  async function openPage() {
+    pageCount++;
+    try {
+      return await context.newPage();
+    } catch (err) {
+      pageCount--;
+      throw err;
+    }
+  }
+
+  function acquirePage() {
+    if (idlePages.length) {
+      return Promise.resolve(idlePages.pop());
+    }
+    if (pageCount < size) {
+      return openPage();
+    }
+    return new Promise((resolve, reject) => waitingTasks.push({ resolve, reject }));
+  }
+
+  function releasePage(page) {
+    const waitingTask = waitingTasks.shift();
+    if (waitingTask) {
+      waitingTask.resolve(page);
+    } else {
+      idlePages.push(page);
+    }
+  }
+
+  async function discardPage(page) {
+    pageCount--;
+    await page.close().catch(() => {});
+    const waitingTask = waitingTasks.shift();
+    if (waitingTask) {
+      openPage().then(waitingTask.resolve, waitingTask.reject);
+    }
+  }
+
+  async function run(label, task) {
+    const page = await acquirePage();
+    let result;
+    try {
+      result = await withTimeout(task(page), taskTimeout, label);
+    } catch (err) {
+      await discardPage(page);
+      throw err;
+    }
+
+    try {
+      page.removeAllListeners('request');
+      await page.setRequestInterception(false);
+      releasePage(page);
+    } catch (err) {
+      await discardPage(page);
+    }
+    return result;
+  }
+
+  async function close() {
+    const pages = idlePages.splice(0);
+    pageCount -= pages.length;
+    await Promise.all(pages.map(page => page.close().catch(() => {})));
+  }
+
+  return { run, close };
+}
+
+/**
+ * Runs `task` on a page pool for every report/subtype pair, at most
+ * `concurrency` at a time
+ * @param {Browser|BrowserContext} context
+ * @param {Array<{reportName: String, subtype: String}>} pairs
+ * @param {{concurrency: Number, taskTimeout: ?Number}} options
+ * @param {Function} task called with `(page, reportName, subtype)`
+ * @returns {Promise<Array<Object>>} settled result of each pair, in order,
+ * with the `duration` of its task in milliseconds
+ */
+async function runOnPagePool(context, pairs, options, task) {
+  const pagePool = createPagePool(context, options.concurrency, options.taskTimeout);
+  const durations = [];
+  try {
+    const results = await Promise.allSettled(
+      pairs.map(({ reportName, subtype }, index) => {
+        let startTime;
+        return pagePool.run(
+          `${reportName}_${subtype}`,
+          page => {
+            startTime = Date.now();
+            return task(page, reportName, subtype);
+          },
+        ).finally(() => {
+          durations[index] = startTime ? Date.now() - startTime : 0;
+        });
+      }),
+    );
+    return results.map((result, index) => ({ ...result, duration: durations[index] }));
+  } finally {
+    await pagePool.close();
+  }
+}
+
+/**
+ * @param {Object} reportNameToURLMap
+ * @param {String[]} subtypes keys of SUPPORTED_SUBTYPES
+ * @returns {Array<{reportName: String, subtype: String}>} every report and
+ * selected subtype pair, ordered by subtype
+ */
+function getReportSubtypePairs(reportNameToURLMap, subtypes) {
+  return Object.keys(SUPPORTED_SUBTYPES)
+    .filter(subtype => subtypes.includes(subtype))
+    .flatMap(subtype => Object.keys(reportNameToURLMap).map(reportName => ({ reportName, subtype })));
+}
+
+/**
+ * Rejects if `promise` has not settled after `timeout` milliseconds
+ * @param {Promise} promise
+ * @param {?Number} timeout no timeout if not set
+ * @param {String} label used in the error message
+ */
+function withTimeout(promise, timeout, label) {
+  if (!timeout) {
+    return promise;
+  }
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`'${label}' timed out after ${timeout}ms`)), timeout);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function createReportsInTargetOrg(context, { connection, options, targetTemplateNames }) {
+  const targetNames = Object.keys(targetTemplateNames);
+  const templateIds = await queryTemplateIds(connection, targetNames);
+  const missingReports = targetNames.filter(report => !templateIds[report]);
+
+  if (!missingReports.length) {
+    console.log('fine: all records exist in target org, doing nothing...')
+  }
+
+  for (let reportName of missingReports) {
+    console.log(`fine: '${reportName}' does not exist or is inactive, creating it`)
+    let newReportPage = await context.newPage();
+    await gotoPage(
+      newReportPage,
+      `${connection.instanceUrl}/_ui/support/fieldservice/ui/ServiceReportTemplateClone/e?p1=${encodeURIComponent(reportName)}`,
+      options,
+    );
+    await Promise.all([
+      newReportPage.waitForNavigation({ waitUntil: 'networkidle0', timeout: options.actionTimeout }),
+      newReportPage.click("input[name='save']"),
+    ]);
+    await newReportPage.close();
+    await options.onTemplateCreated?.(reportName);
+  }
+}
+
+/**
+ * Finds the editor links of report templates in the template list of an org.
+ * Links are matched by the template record Id, not by the displayed label
+ * @param {Browser|BrowserContext} context browser context logged in to the org
+ * @param {String} orgUrl
+ * @param {Object} templateIds DeveloperName => ServiceReportLayout Id
+ * @param {Object} options
+ * @returns {Promise<Object>} DeveloperName => editor link
+ */
+async function grabReportLinks(context, orgUrl, templateIds, options) {
+  const reportNameToURLMap = {};
+  const listPage = await context.newPage();
+  try {
+    await gotoPage(listPage, `${orgUrl}/_ui/support/fieldservice/ui/ServiceReportTemplateLayouts`, options);
+    for (const [reportName, templateId] of Object.entries(templateIds)) {
+      console.log(`fine: getting report link for ${reportName}`);
+      const reportLink = await listPage
+        .waitForSelector(`a[title][href*="${templateId.slice(0, 15)}"]`, { timeout: options.actionTimeout })
+        .catch(() => {
+          throw new Error(`Could not find template '${reportName}' (${templateId}) in the template list`);
+        });
+      reportNameToURLMap[reportName] = await reportLink.evaluate(link => link.getAttribute('href'));
+    }
+  } finally {
+    await listPage.close();
+  }
+  return reportNameToURLMap;
+}
+
+/**
+ * Captures every selected report/subtype layout of the source org
+ * @returns {Promise<Object>} report/subtype name => URL-encoded `jsonLayout` param
+ */
+async function grabSourceOrgReportJSON(context, sourceConnection, reportNameToURLMapSource, options) {
+  const layouts = {};
+  const pairs = getReportSubtypePairs(reportNameToURLMapSource, options.subtypes).filter(({ reportName, subtype }) => {
+    const reportVersionName = `${reportName}_${subtype}`;
+    if (options.retrievedLayouts[reportVersionName]) {
+      console.log(`fine: '${reportVersionName}' already retrieved, skipping`);
+      layouts[reportVersionName] = options.retrievedLayouts[reportVersionName];
+      return false;
+    }
+    return true;
+  });
+  const results = await runOnPagePool(context, pairs, options, async (page, reportName, subtype) => {
+    const jsonLayoutParam = await grabSourceReport(
+      page,
+      sourceConnection,
+      reportName,
+      subtype,
+      reportNameToURLMapSource[reportName],
+      options,
+    );
+    if (jsonLayoutParam) {
+      layouts[`${reportName}_${subtype}`] = jsonLayoutParam;
+      await options.onLayoutRetrieved?.(`${reportName}_${subtype}`, jsonLayoutParam);
+    }
+  });
+
+  pairs.forEach(({ reportName, subtype }, index) =>
+    reportTemplateResult(options, 'retrieve', reportName, subtype, results[index]),
+  );
+  const failures = results
+    .map((result, index) => ({ ...pairs[index], result }))
+    .filter(({ result }) => result.status === 'rejected');
+  for (const { reportName, subtype, result } of failures) {
+    console.error(`error: could not get '${reportName}' for subtype '${SUPPORTED_SUBTYPES[subtype]}': ${result.reason.message}`);
+  }
+  if (failures.length) {
+    throw new Error(`Could not get ${failures.length} source report/subtype layout(s)`);
+  }
+  return layouts;
+}
+
+async function grabSourceReport(page, sourceConnection, reportName, subtypeName, url, options) {
+  const subtypeLabel = SUPPORTED_SUBTYPES[subtypeName];
+  console.log(
+    `fine: getting report for '${reportName}' for subtype '${subtypeLabel}'`,
+  );
+  const reportVersionName = `${reportName}_${subtypeName}`;
+
+  const jsonLayoutParam = await captureReportLayout(
+    page,
+    sourceConnection.instanceUrl,
+    url,
+    subtypeLabel,
+    options,
+  );
+  if (!jsonLayoutParam) {
+    console.log(`warn: no layout captured for '${reportVersionName}'`);
+    return;
+  }
+
+  if (options.writePOSTDataToFile) {
+    const dataToWriteFormatted = JSON.stringify(
+      decodeJsonLayout(jsonLayoutParam),
+      null,
+      2,
+    );
+
+    writeFile(
+      `${reportVersionName}.source.json`,
+      dataToWriteFormatted,
+    ).catch(err => {
+      console.error(err);
+    });
+  }
+  return jsonLayoutParam;
+}
+
+/**
+ * Opens a report template subtype in the editor and clicks Quick Save to
+ * capture the `jsonLayout` param of the save request, without saving the template
+ * @param {Page} newReportPage page of a browser context logged in to the org
+ * @param {String} orgUrl
+ * @param {String} reportUrl editor link as returned by `grabReportLinks`
+ * @param {String} subtypeLabel
+ * @param {Object} options
+ * @returns {Promise<String>} `j_id0%3Af%3AjsonLayout=...`
+ */
+async function captureReportLayout(newReportPage, orgUrl, reportUrl, subtypeLabel, options) {
+  await gotoPage(newReportPage, `${orgUrl}${reportUrl}`, options);
+  await goToTemplateSubtype(newReportPage, subtypeLabel, options.actionTimeout);
+
+  // the Quick Save request is answered here and never reaches the org, so
+  // reading a layout does not save the template
+  const onRequest = request => {
+    if (isLayoutSaveRequest(request)) {
+      request.respond({ status: 200, contentType: 'text/html', body: '' });
+    } else {
+      request.continue();
+    }
+  };
+  await newReportPage.setRequestInterception(true);
+  newReportPage.on('request', onRequest);
+  try {
+    const button = await findQuickSaveButton(newReportPage);
+    const [saveRequest] = await Promise.all([
+      newReportPage.waitForRequest(isLayoutSaveRequest, { timeout: options.actionTimeout }),
+      button.click(),
+    ]);
+    return JSON_LAYOUT_PARAM_REGEX.exec(saveRequest.postData())[0];
+  } finally {
+    newReportPage.off('request', onRequest);
+    await newReportPage.setRequestInterception(false);
+  }
+}
+
+function isLayoutSaveRequest(request) {
+  return request.url().includes('/servicereport/serviceReportTemplateEditor.apexp') &&
+    !!request.postData()?.includes('j_id0%3Af%3AjsonLayout');
+}
+
+/**
+ * Looks up the durable name of every org-specific ID of the layouts in the source org
+ * @returns {Promise<Object>} 15 character ID => reference (`kind:name`)
+ */
+async function extractSourceOrgReferences(sourceConnection, layouts) {
+  const idsByKind = {};
+  for (const currentReportName in layouts) {
+    replaceOrgIds(layouts[currentReportName], (id, kind) => {
+      (idsByKind[kind] ??= new Set()).add(id);
+    });
+  }
+
+  const sourceIdToReference = {};
+  for (const [kind, ids] of Object.entries(idsByKind)) {
+    console.log(`fine: looking up ${ids.size} ${kind} Id(s) in source org`);
+    const idToName = await lookupReferences(sourceConnection, kind, [...ids]);
+    for (const [id, name] of Object.entries(idToName)) {
+      sourceIdToReference[id] = `${kind}:${name}`;
+    }
+  }
+  return sourceIdToReference;
+}
+
+/**
+ * Replaces every org-specific record ID that `ID_RESOLVERS` can translate.
+ * 18 character IDs are shortened to 15 characters before calling `replacer`
+ * @param {String} string layout, URL-encoded or not
+ * @param {Function} replacer called with `(id, kind)`, returns the replacement
+ * or nothing to keep the ID
+ * @returns {String}
+ */
+function replaceOrgIds(string, replacer) {
+  return string.replaceAll(ORG_ID_REGEX, (match, prefix) => {
+    const id = match.substring(0, 15);
+    if (!prefix || ORG_INDEPENDENT_IDS.includes(id)) {
+      return match;
+    }
+    // the regex also takes the 3 characters after a 15 character ID that is
+    // not followed by its case-safe suffix
+    const rest = match.length === 18 && match.substring(15) !== getCaseSafeIdSuffix(id)
+      ? match.substring(15)
+      : '';
+    const replacement = replacer(id, ID_PREFIX_TO_KIND[prefix]);
+    return replacement == null ? match : `${replacement}${rest}`;
+  });
+}
+
+/**
+ * Computes the 3 character suffix of the case-insensitive 18 character version
+ * of a 15 character record ID
+ * @param {String} id
+ */
+function getCaseSafeIdSuffix(id) {
+  const suffixCharacters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+  let suffix = '';
+  for (let chunk = 0; chunk < 3; chunk++) {
+    let flags = 0;
+    for (let position = 0; position < 5; position++) {
+      const character = id[chunk * 5 + position];
+      if (character >= 'A' && character <= 'Z') {
+        flags |= 1 << position;
+      }
+    }
+    suffix += suffixCharacters[flags];
+  }
+  return suffix;
+}
+
+/**
+ * Looks up the durable names of record IDs of one kind in an org, going
+ * through the metadata cache
+ * @param {jsforce.Connection} connection
+ * @param {String} kind key of `ID_RESOLVERS`
+ * @param {String[]} ids 15 character record IDs
+ * @returns {Promise<Object>} ID => durable name, for the IDs found in the org
+ */
+async function lookupReferences(connection, kind, ids) {
+  const metadataCache = await getMetadataCache(connection);
+  const cachedNames = metadataCache.references[kind] ??= {};
+  const uncachedIds = [...new Set(ids)].filter(id => !cachedNames[id]);
+  if (uncachedIds.length) {
+    const idToName = await ID_RESOLVERS[kind].lookup(connection, uncachedIds);
+    for (const [id, name] of Object.entries(idToName)) {
+      cacheReference(metadataCache, kind, name, id);
+    }
+    await saveMetadataCache(connection);
+  }
+  return Object.fromEntries(ids.filter(id => cachedNames[id]).map(id => [id, cachedNames[id]]));
+}
+
+/**
+ * Finds the record IDs of durable names of one kind in an org, going through
+ * the metadata cache
+ * @param {jsforce.Connection} connection
+ * @param {String} kind key of `ID_RESOLVERS`
+ * @param {String[]} names
+ * @returns {Promise<Object>} durable name => 15 character ID, for the names
+ * found in the org
+ */
+async function resolveReferences(connection, kind, names) {
+  const metadataCache = await getMetadataCache(connection);
+  const cachedIds = metadataCache.ids[kind] ??= {};
+  const uncachedNames = [...new Set(names)].filter(name => !cachedIds[name]);
+  if (uncachedNames.length) {
+    const nameToId = await ID_RESOLVERS[kind].resolve(connection, uncachedNames);
+    for (const [name, id] of Object.entries(nameToId)) {
+      cacheReference(metadataCache, kind, name, id);
+    }
+    await saveMetadataCache(connection);
+  }
+  return Object.fromEntries(names.filter(name => cachedIds[name]).map(name => [name, cachedIds[name]]));
+}
+
+/**
+ * @param {jsforce.Connection} connection
+ * @param {String[]} fieldIds
+ * @returns {Promise<Object>} custom field ID => `Object.Field__c`
+ */
+async function lookupFieldReferences(connection, fieldIds) {
+  const fields = await queryInChunks(
+    connection.tooling,
+    fieldIds,
+    ids => `SELECT Id, DeveloperName, NamespacePrefix, TableEnumOrId FROM CustomField WHERE Id IN ('${ids.join("','")}')`,
+  );
+  const objectIdToApiName = await lookupReferences(
+    connection,
+    'object',
+    fields.map(field => field.TableEnumOrId).filter(tableEnumOrId => tableEnumOrId.startsWith('01I')),
+  );
+
+  const fieldIdToReference = {};
+  for (const field of fields) {
+    const objectApiName = field.TableEnumOrId.startsWith('01I')
+      ? objectIdToApiName[field.TableEnumOrId.substring(0, 15)]
+      : field.TableEnumOrId;
+
+    if (objectApiName) {
+      fieldIdToReference[field.Id.substring(0, 15)] = `${objectApiName}.${toCustomApiName(field)}`;
+    }
+  }
+  return fieldIdToReference;
+}
+
+/**
+ * Queries the custom fields of each object separately, in chunks
+ * @param {jsforce.Connection} connection
+ * @param {String[]} references `Object.Field__c`
+ * @returns {Promise<Object>} `Object.Field__c` => custom field ID
+ */
+async function resolveFieldReferences(connection, references) {
+  const fieldsByObject = {};
+  for (const reference of references) {
+    const [objectApiName, fieldApiName] = reference.split('.');
+    (fieldsByObject[objectApiName] ??= []).push(fieldApiName);
+  }
+  const customObjectIds = await resolveReferences(
+    connection,
+    'object',
+    Object.keys(fieldsByObject).filter(objectApiName => parseCustomApiName(objectApiName)),
+  );
+
+  const referenceToFieldId = {};
+  for (const [objectApiName, fieldApiNames] of Object.entries(fieldsByObject)) {
+    const tableEnumOrId = parseCustomApiName(objectApiName) ? customObjectIds[objectApiName] : objectApiName;
+    if (!tableEnumOrId) {
+      continue;
+    }
+
+    const fields = await queryInChunks(
+      connection.tooling,
+      [...new Set(fieldApiNames.map(fieldApiName => parseCustomApiName(fieldApiName)?.DeveloperName ?? fieldApiName))],
+      developerNames => `SELECT Id, DeveloperName, NamespacePrefix, TableEnumOrId FROM CustomField WHERE TableEnumOrId = '${
+        tableEnumOrId
+      }' AND DeveloperName IN ('${developerNames.join("','")}')`,
+    );
+    for (const field of fields) {
+      referenceToFieldId[`${objectApiName}.${toCustomApiName(field)}`] = field.Id.substring(0, 15);
+    }
+  }
+  return referenceToFieldId;
+}
+
+async function lookupObjectReferences(connection, objectIds) {
+  const customObjects = await queryInChunks(
+    connection.tooling,
+    objectIds,
+    ids => `SELECT Id, DeveloperName, NamespacePrefix FROM CustomObject WHERE Id IN ('${ids.join("','")}')`,
+  );
+  return Object.fromEntries(customObjects.map(record => [record.Id.substring(0, 15), toCustomApiName(record)]));
+}
+
+async function resolveObjectReferences(connection, objectApiNames) {
+  const customObjects = await queryInChunks(
+    connection.tooling,
+    [...new Set(objectApiNames.map(objectApiName => parseCustomApiName(objectApiName)?.DeveloperName ?? objectApiName))],
+    developerNames => `SELECT Id, DeveloperName, NamespacePrefix FROM CustomObject WHERE DeveloperName IN ('${developerNames.join("','")}')`,
+  );
+  return Object.fromEntries(customObjects.map(record => [toCustomApiName(record), record.Id.substring(0, 15)]));
+}
+
+/**
+ * Record types are identified by `SobjectType.DeveloperName`
+ */
+async function lookupRecordTypeReferences(connection, recordTypeIds) {
+  const recordTypes = await queryInChunks(
+    connection,
+    recordTypeIds,
+    ids => `SELECT Id, DeveloperName, NamespacePrefix, SobjectType FROM RecordType WHERE Id IN ('${ids.join("','")}')`,
+  );
+  return Object.fromEntries(recordTypes.map(record => [
+    record.Id.substring(0, 15),
+    `${record.SobjectType}.${toNamespacedName(record, 'DeveloperName')}`,
+  ]));
+}
+
+async function resolveRecordTypeReferences(connection, references) {
+  const recordTypes = await queryInChunks(connection, references, chunk => {
+    const sobjectTypes = [...new Set(chunk.map(reference => reference.split('.')[0]))];
+    const developerNames = [...new Set(chunk.map(reference => removeNamespace(reference.split('.')[1])))];
+    return `SELECT Id, DeveloperName, NamespacePrefix, SobjectType FROM RecordType WHERE SobjectType IN ('${
+      sobjectTypes.join("','")
+    }') AND DeveloperName IN ('${developerNames.join("','")}')`;
+  });
+  return Object.fromEntries(recordTypes.map(record => [
+    `${record.SobjectType}.${toNamespacedName(record, 'DeveloperName')}`,
+    record.Id.substring(0, 15),
+  ]));
+}
+
+async function lookupDocumentReferences(connection, documentIds) {
+  return lookupRecordNames(connection, 'Document', 'DeveloperName', documentIds);
+}
+
+async function resolveDocumentReferences(connection, names) {
+  return resolveRecordNames(connection, 'Document', 'DeveloperName', names);
+}
+
+async function lookupStaticResourceReferences(connection, staticResourceIds) {
+  return lookupRecordNames(connection, 'StaticResource', 'Name', staticResourceIds);
+}
+
+async function resolveStaticResourceReferences(connection, names) {
+  return resolveRecordNames(connection, 'StaticResource', 'Name', names);
+}
+
+/**
+ * The organization ID (in image URLs) always maps to the ID of the other org
+ */
+async function lookupOrganizationReferences(connection, organizationIds) {
+  const organizationId = (await getOrganizationId(connection)).substring(0, 15);
+  return Object.fromEntries(organizationIds
+    .filter(id => id === organizationId)
+    .map(id => [id, 'current']));
+}
+
+async function resolveOrganizationReferences(connection, names) {
+  const organizationId = (await getOrganizationId(connection)).substring(0, 15);
+  return Object.fromEntries(names
+    .filter(name => name === 'current')
+    .map(name => [name, organizationId]));
+}
+
+/**
+ * Looks up records whose durable name is a unique name field plus their
+ * namespace prefix (`ns__Name`)
+ * @returns {Promise<Object>} ID => name
+ */
+async function lookupRecordNames(connection, sobjectType, nameField, recordIds) {
+  const records = await queryInChunks(
+    connection,
+    recordIds,
+    ids => `SELECT Id, ${nameField}, NamespacePrefix FROM ${sobjectType} WHERE Id IN ('${ids.join("','")}')`,
+  );
+  return Object.fromEntries(records.map(record => [record.Id.substring(0, 15), toNamespacedName(record, nameField)]));
+}
+
+/**
+ * @returns {Promise<Object>} name => ID
+ */
+async function resolveRecordNames(connection, sobjectType, nameField, names) {
+  const records = await queryInChunks(
+    connection,
+    [...new Set(names.map(removeNamespace))],
+    values => `SELECT Id, ${nameField}, NamespacePrefix FROM ${sobjectType} WHERE ${nameField} IN ('${values.join("','")}')`,
+  );
+  return Object.fromEntries(records.map(record => [toNamespacedName(record, nameField), record.Id.substring(0, 15)]));
+}
+
+function toNamespacedName(record, nameField) {
+  const ns = record.NamespacePrefix ? `${record.NamespacePrefix}__` : '';
+  return `${ns}${record[nameField]}`;
+}
+
+function removeNamespace(name) {
+  return name.split('__').pop();
+}
+
+async function getOrganizationId(connection) {
+  connection.organizationId ??= (await connection.query('SELECT Id FROM Organization')).records[0].Id;
+  return connection.organizationId;
+}
+
+/**
+ * Runs a query and follows `queryMore` until every record is fetched
+ * @param {jsforce.Connection|jsforce.Tooling} api
+ * @param {String} query
+ * @returns {Promise<Object[]>}
+ */
+async function queryAllRecords(api, query) {
+  let response = await api.query(query);
+  const records = [...response.records];
+  while (!response.done) {
+    response = await api.queryMore(response.nextRecordsUrl);
+    records.push(...response.records);
+  }
+  return records;
+}
+
+/**
+ * Runs a query for chunks of `QUERY_CHUNK_SIZE` values at a time so that
+ * long `IN (...)` lists stay within the SOQL length limits
+ * @param {jsforce.Connection|jsforce.Tooling} api
+ * @param {String[]} values
+ * @param {Function} buildQuery returns the query for a chunk of values
+ * @returns {Promise<Object[]>} the records of every chunk
+ */
+async function queryInChunks(api, values, buildQuery) {
+  const records = [];
+  for (let index = 0; index < values.length; index += QUERY_CHUNK_SIZE) {
+    records.push(...await queryAllRecords(api, buildQuery(values.slice(index, index + QUERY_CHUNK_SIZE))));
+  }
+  return records;
+}
+
+/**
+ * Returns the record ID => durable name metadata known for the org of a
+ * connection. The first call for a connection reads the cache from
+ * `metadataCacheDirectory` (one file per organization Id) if it is set, and
+ * discards it when older than `metadataCacheMaxAge` hours or when
+ * `refreshMetadataCache` is set; later calls reuse it
+ * @param {jsforce.Connection} connection
+ * @param {Object} [options]
+ * @returns {Promise<Object>}
+ */
+async function getMetadataCache(connection, options = {}) {
+  if (metadataCaches.has(connection)) {
+    return metadataCaches.get(connection).cache;
+  }
+
+  const { metadataCacheDirectory, metadataCacheMaxAge, refreshMetadataCache } = options;
+  const organizationId = await getOrganizationId(connection);
+  const emptyCache = {
+    formatVersion: METADATA_CACHE_FORMAT_VERSION,
+    organizationId,
+    createdAt: new Date().toISOString(),
+    references: {},
+    ids: {},
+  };
+  metadataCaches.set(connection, { cache: emptyCache, directory: metadataCacheDirectory });
+  if (!metadataCacheDirectory || refreshMetadataCache) {
+    return emptyCache;
+  }
+
+  const cacheFile = join(metadataCacheDirectory, `${organizationId}.json`);
+  let cache;
+  try {
+    cache = JSON.parse(await readFile(cacheFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.log(`warn: ignoring unreadable metadata cache '${cacheFile}': ${err.message}`);
+    }
+    return emptyCache;
+  }
+
+  const ageInHours = (Date.now() - new Date(cache.createdAt).getTime()) / 3600000;
+  if (
+    cache.formatVersion !== METADATA_CACHE_FORMAT_VERSION ||
+    cache.organizationId !== organizationId ||
+    !(ageInHours < (metadataCacheMaxAge ?? Infinity))
+  ) {
+    console.log(`fine: metadata cache of org ${organizationId} expired, discarding it`);
+    return emptyCache;
+  }
+  console.log(`fine: using metadata cache '${cacheFile}'`);
+  metadataCaches.set(connection, { cache, directory: metadataCacheDirectory });
+  return cache;
+}
+
+async function saveMetadataCache(connection) {
+  const { cache, directory } = metadataCaches.get(connection);
+  if (!directory) {
+    return;
+  }
+  await mkdir(directory, { recursive: true });
+  await writeFile(
+    join(directory, `${cache.organizationId}.json`),
+    JSON.stringify(cache, null, 2),
+  );
+}
+
+function cacheReference(cache, kind, name, id) {
+  (cache.references[kind] ??= {})[id.substring(0, 15)] = name;
+  (cache.ids[kind] ??= {})[name] = id.substring(0, 15);
+}
+
+/**
+ * Builds the API name (`ns__Name__c`) of a custom field or object from its
+ * Tooling API record
+ * @param {{ DeveloperName: String, NamespacePrefix: ?String }} record
+ */
+function toCustomApiName(record) {
+  return `${toNamespacedName(record, 'DeveloperName')}__c`;
+}
+
+/**
+ * Splits a custom API name (`ns__Name__c`) into its namespace prefix and
+ * developer name, returns null for standard API names
+ * @param {String} apiName
+ */
+function parseCustomApiName(apiName) {
+  const match = /^(?:([a-zA-Z0-9]+)__)?([a-zA-Z0-9_]+?)__c$/.exec(apiName);
+  if (!match) {
+    return null;
+  }
+  return { NamespacePrefix: match[1] ?? null, DeveloperName: match[2] };
+}
+
+/**
+ * Returns the URL-encoded symbolic reference that replaces an org-specific ID
+ * in a stored template, e.g. `{{field:WorkOrder.Customer_Notes__c}}`
+ * @param {String} reference `kind:name`
+ */
+function toReferenceToken(reference) {
+  return encodeURIComponent(`{{${reference}}}`);
+}
+
+/**
+ * Replaces the source org IDs in every retrieved layout with symbolic
+ * references so that the stored templates are org independent
+ * @param {Object} layouts report/subtype name => URL-encoded `jsonLayout` param, updated in place
+ * @param {Object} sourceIdToReference 15 character ID => reference (`kind:name`)
+ * @returns {Object} reference => source org ID
+ */
+function replaceSourceIdsWithTokens(layouts, sourceIdToReference) {
+  const referenceToSourceId = {};
+  for (const [id, reference] of Object.entries(sourceIdToReference)) {
+    referenceToSourceId[reference] = id;
+  }
+
+  for (const currentReportName in layouts) {
+    const unknownIds = new Set();
+    layouts[currentReportName] = replaceOrgIds(
+      layouts[currentReportName],
+      id => {
+        if (!sourceIdToReference[id]) {
+          unknownIds.add(id);
+          return;
+        }
+        console.log(`fine: source Id ${id} => {{${sourceIdToReference[id]}}}`);
+        return toReferenceToken(sourceIdToReference[id]);
+      },
+    );
+
+    if (unknownIds.size) {
+      console.log(
+        `warn: Ids not found in source org for ${currentReportName}, keeping them as is: ${[...unknownIds].join(', ')}`,
+      );
+    }
+  }
+  return referenceToSourceId;
+}
+
+/**
+ * Replaces the org-specific IDs of a decoded layout with symbolic references
+ * (e.g. `{{field:Object.Field__c}}`) so that layouts from different orgs
+ * compare by durable name
+ * @param {Object} layout
+ * @param {?jsforce.Connection} connection org the IDs belong to
+ * @param {Object} [options] any of `DEFAULT_OPTIONS`
+ */
+export async function resolveLayoutReferences(layout, connection, options = {}) {
+  const layoutString = JSON.stringify(layout);
+  const idsByKind = {};
+  replaceOrgIds(layoutString, (id, kind) => {
+    (idsByKind[kind] ??= []).push(id);
+  });
+
+  const idToReference = {};
+  if (connection) {
+    await getMetadataCache(connection, withDefaults(options));
+    for (const [kind, ids] of Object.entries(idsByKind)) {
+      const idToName = await lookupReferences(connection, kind, ids);
+      for (const [id, name] of Object.entries(idToName)) {
+        idToReference[id] = `{{${kind}:${name}}}`;
+      }
+    }
+  }
+
+  return JSON.parse(replaceOrgIds(layoutString, id => idToReference[id]));
+}
+
+const LAYOUT_IDENTITY_KEYS = ['id', 'fieldId', 'name', 'title', 'label', 'key'];
+
+/**
+ * Identifies an element of a layout array, so that elements are compared by
+ * what they are instead of by position
+ */
+function getLayoutElementKey(element, index) {
+  if (element && typeof element === 'object') {
+    const identityKey = LAYOUT_IDENTITY_KEYS.find(
+      key => typeof element[key] === 'string' || typeof element[key] === 'number',
+    );
+    if (identityKey) {
+      return String(element[identityKey]);
+    }
+  } else if (typeof element === 'string' && element.startsWith('{{field:')) {
+    return element;
+  }
+  return index + 1;
+}
+
+/**
+ * Describes a path segment for an element of the `arrayName` array, e.g.
+ * `section "Header"`, `column 2` or `field WorkOrder.Notes__c`
+ */
+function describeLayoutElement(arrayName, key) {
+  const fieldReference = /^\{\{field:(.*)\}\}$/.exec(key);
+  if (fieldReference) {
+    return `field ${fieldReference[1]}`;
+  }
+
+  const kind = arrayName.replace(/ies$/, 'y').replace(/s$/, '');
+  return typeof key === 'number' ? `${kind} ${key}` : `${kind} "${key}"`;
+}
+
+function diffLayoutNodes(left, right, path, changes) {
+  if (Array.isArray(left) && Array.isArray(right)) {
+    const arrayName = path.at(-1) ?? 'element';
+    const parentPath = path.slice(0, -1);
+    const keyedLeft = keyLayoutElements(left);
+    const keyedRight = keyLayoutElements(right);
+
+    for (const [key, element] of keyedLeft) {
+      const elementPath = [...parentPath, describeLayoutElement(arrayName, key)];
+      if (keyedRight.has(key)) {
+        diffLayoutNodes(element, keyedRight.get(key), elementPath, changes);
+      } else {
+        changes.push({ type: 'removed', path: elementPath, left: element });
+      }
+    }
+    for (const [key, element] of keyedRight) {
+      if (!keyedLeft.has(key)) {
+        changes.push({ type: 'added', path: [...parentPath, describeLayoutElement(arrayName, key)], right: element });
+      }
+    }
+    return;
+  }
+
+  if (isPlainObject(left) && isPlainObject(right)) {
+    for (const key of new Set([...Object.keys(left), ...Object.keys(right)])) {
+      const propertyPath = [...path, key];
+      if (!(key in right)) {
+        changes.push({ type: 'removed', path: propertyPath, left: left[key] });
+      } else if (!(key in left)) {
+        changes.push({ type: 'added', path: propertyPath, right: right[key] });
+      } else {
+        diffLayoutNodes(left[key], right[key], propertyPath, changes);
+      }
+    }
+    return;
+  }
+
+  if (JSON.stringify(left) !== JSON.stringify(right)) {
+    changes.push({ type: 'changed', path: [...path], left, right });
+  }
+}
+
+function keyLayoutElements(elements) {
+  const keyed = new Map();
+  elements.forEach((element, index) => {
+    let key = getLayoutElementKey(element, index);
+    for (let duplicate = 2; keyed.has(key); duplicate++) {
+      key = `${getLayoutElementKey(element, index)} (${duplicate})`;
+    }
+    keyed.set(key, element);
+  });
+  return keyed;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Formats a layout value for the diff output, text blocks are stripped of
+ * their HTML tags and truncated
+ */
+function formatLayoutValue(value) {
+  if (isPlainObject(value) || Array.isArray(value)) {
+    return Array.isArray(value) ? `[${value.length} element(s)]` : '{...}';
+  }
+  if (typeof value !== 'string') {
+    return String(value);
+  }
+
+  const text = value.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return JSON.stringify(text.length > 80 ? `${text.substring(0, 77)}...` : text);
+}
+
+export function formatLayoutChange(change) {
+  const location = change.path.join(' > ');
+  const describe = value =>
+    isPlainObject(value) || Array.isArray(value) || String(value).startsWith('{{field:')
+      ? location
+      : `${location}: ${formatLayoutValue(value)}`;
+
+  switch (change.type) {
+    case 'added':
+      return `+ ${describe(change.right)}`;
+    case 'removed':
+      return `- ${describe(change.left)}`;
+    default:
+      return `~ ${location}: ${formatLayoutValue(change.left)} => ${formatLayoutValue(change.right)}`;
+  }
+}
+
+/**
+ * Checks the layouts of a bundle before anything is deployed, so that the
+ * problems the template editor would only report after a Quick Save (or not
+ * at all) stop the deploy up front: malformed layouts, uploaded images,
+ * references and IDs that are not mapped to the target org, fields of an
+ * object the subtype does not show and empty sections
+ * @param {Object} bundle bundle with the layouts of `retrieveTemplates`, before `transformTemplate`
+ * @param {Object} options `referenceToTargetId` (as returned by `mapFieldIds`)
+ * and any of `DEFAULT_OPTIONS`
+ * @returns {Object[]} problems found, `{severity, template, subtype, location, message}`
+ * where `severity` is `error` (the layout must not be deployed) or `warning`
+ */
+export function lintTemplates(bundle, options) {
+  options = withDefaults(options);
+  const problems = [];
+  for (const reportName of bundle.reportNames) {
+    for (const subtype of options.subtypes) {
+      const malformedLayout = bundle.malformedLayouts?.[`${reportName}_${subtype}`];
+      if (malformedLayout) {
+        problems.push({
+          severity: 'error',
+          template: reportName,
+          subtype,
+          location: '',
+          message: `malformed layout file '${malformedLayout.file}': ${malformedLayout.error}`,
+        });
+        continue;
+      }
+      const jsonLayout = bundle.layouts[`${reportName}_${subtype}`];
+      if (jsonLayout === undefined) {
+        continue;
+      }
+      for (const problem of lintTemplate(jsonLayout, subtype, bundle, options)) {
+        problems.push({ template: reportName, subtype, ...problem });
+      }
+    }
+  }
+  return problems;
+}
+
+function lintTemplate(jsonLayout, subtype, bundle, options) {
+  const { referenceToTargetId = {} } = options;
+  const problems = [];
+  const addProblem = (severity, path, message) =>
+    problems.push({ severity, location: path.join(' > '), message });
+
+  let layout;
+  try {
+    layout = decodeJsonLayout(removeSourceImages(jsonLayout, options).jsonLayout);
+  } catch (err) {
+    addProblem('error', [], `malformed jsonLayout: ${err.message}`);
+    return problems;
+  }
+  if (!isPlainObject(layout)) {
+    addProblem('error', [], 'malformed jsonLayout: not a JSON object');
+    return problems;
+  }
+
+  walkLayout(layout, [], (value, path) => {
+    if (isPlainObject(value) && /^section /.test(path.at(-1)) && isEmptySection(value)) {
+      addProblem('warning', path, 'empty section');
+    }
+    if (typeof value !== 'string') {
+      return;
+    }
+
+    for (const [token, kind, name] of value.matchAll(DECODED_TOKEN_REGEX)) {
+      if (kind === 'image') {
+        if (!bundle.images.some(({ file }) => file === name)) {
+          addProblem('error', path, `image ${name} is not in the bundle`);
+        }
+        continue;
+      }
+      const ifMissing = kind === 'field' ? getFieldRule(name, options).ifMissing : 'fail';
+      if (!referenceToTargetId[`${kind}:${name}`] && ifMissing === 'fail') {
+        addProblem('error', path, `${token} is not mapped to the target org`);
+      } else if (!referenceToTargetId[`${kind}:${name}`]) {
+        addProblem('warning', path, `${token} is not mapped to the target org, ${describeFieldPolicy(ifMissing)}`);
+      }
+      const object = kind === 'field' && name.split('.')[0];
+      if (LINTED_OBJECTS.includes(object) && !SUBTYPE_OBJECTS[subtype].includes(object)) {
+        addProblem(
+          'error',
+          path,
+          `field ${name} is not on an object of the ${SUPPORTED_SUBTYPES[subtype]} subtype (${SUBTYPE_OBJECTS[subtype].join(', ')})`,
+        );
+      }
+    }
+
+    replaceOrgIds(value, (id, kind) => {
+      addProblem('error', path, `${kind} Id ${id} was not found in the source org and is not mapped to the target org`);
+    });
+
+    for (const [, , src] of value.matchAll(IMG_SRC_REGEX)) {
+      if (!src.startsWith('{{') && isOrgHostedImage(src, bundle.sourceOrg) && !DOCUMENT_IMAGE_REGEX.test(src)) {
+        addProblem(
+          'error',
+          path,
+          `uploaded image ${src} makes the Quick Save fail with an internal server error, set removeSourceImages or migrateSourceImages`,
+        );
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * Calls `visit(value, path)` with every value of a decoded layout, `path`
+ * describes where the value is like the paths of `diffLayouts`
+ */
+function walkLayout(value, path, visit) {
+  visit(value, path);
+  if (Array.isArray(value)) {
+    const arrayName = path.at(-1) ?? 'element';
+    for (const [key, element] of keyLayoutElements(value)) {
+      walkLayout(element, [...path.slice(0, -1), describeLayoutElement(arrayName, key)], visit);
+    }
+  } else if (isPlainObject(value)) {
+    for (const [key, element] of Object.entries(value)) {
+      walkLayout(element, [...path, key], visit);
+    }
+  }
+}
+
+/**
+ * Whether a section has no content besides its title: no elements, no text
+ * and no nested objects
+ */
+function isEmptySection(section) {
+  return Object.entries(section).every(([key, value]) =>
+    LAYOUT_IDENTITY_KEYS.includes(key) ||
+    value === null ||
+    value === '' ||
+    (Array.isArray(value) ? !value.length : typeof value !== 'string' && !isPlainObject(value)),
+  );
+}
+
+/**
+ * Calls `mapper` with every string value of a decoded layout and returns a
+ * copy of the layout with the mapped values
+ */
+function mapLayoutStrings(value, mapper) {
+  if (typeof value === 'string') {
+    return mapper(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(element => mapLayoutStrings(element, mapper));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, element]) => [key, mapLayoutStrings(element, mapper)]),
+    );
+  }
+  return value;
+}
+
+/**
+ * Whether an image src points to a file uploaded to the org (as opposed to an
+ * image added with a web address)
+ * @param {String} src
+ * @param {String} orgUrl
+ */
+function isOrgHostedImage(src, orgUrl) {
+  if (src.startsWith('/') && !src.startsWith('//')) {
+    return true;
+  }
+  try {
+    const { hostname } = new URL(src);
+    return hostname === new URL(orgUrl).hostname ||
+      ORG_HOSTED_IMAGE_HOST_REGEX.test(hostname);
+  } catch (err) {
+    return false;
+  }
+}
+
+const PREVIEW_TEXT_KEY_REGEX = /text|html|content|body/i;
+const PREVIEW_STYLE = `
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+  header { border-bottom: 2px solid #0176d3; margin-bottom: 16px; }
+  header h1 { font-size: 18px; margin: 0 0 4px; }
+  header p, footer { color: #706e6b; font-size: 10px; }
+  section { border: 1px solid #dddbda; border-radius: 4px; margin-bottom: 12px; padding: 8px 12px; page-break-inside: avoid; }
+  h2 { font-size: 14px; margin: 0 0 8px; color: #0176d3; }
+  h3, h4 { font-size: 12px; margin: 8px 0 4px; }
+  .field { display: flex; gap: 8px; padding: 2px 0; }
+  .field .label { font-weight: bold; min-width: 35%; }
+  .field .value, .merge-field { color: #706e6b; font-style: italic; }
+  .image-placeholder { display: inline-block; border: 1px dashed #706e6b; color: #706e6b; padding: 12px; }
+  img { max-width: 100%; }
+`;
+
+/**
+ * Renders an approximate service report of a decoded layout as an HTML page:
+ * its sections, the fields with their labels (from the layout, or else from
+ * the field reference), text blocks and images. The IDs of layouts that are
+ * not from a bundle (e.g. `*.source.json` files) are looked up in the metadata
+ * caches of `metadataCacheDirectory`, without logging in to an org
+ * @param {Object} layout decoded layout, from a bundle or a `*.source.json` file
+ * @param {Object} [options] `title`, `subtype`, `images` (of the bundle, with
+ * their `body`) and any of `DEFAULT_OPTIONS`
+ * @returns {Promise<String>}
+ */
+export async function renderTemplatePreview(layout, options = {}) {
+  options = withDefaults(options);
+  const { title = 'Service report template', subtype, images = [] } = options;
+  const resolvedLayout = await resolveCachedLayoutReferences(layout, options.metadataCacheDirectory);
+  const subtitle = [subtype && SUPPORTED_SUBTYPES[subtype], 'approximate preview, field values are shown as their API names']
+    .filter(Boolean)
+    .join(' - ');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    `<head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${PREVIEW_STYLE}</style></head>`,
+    '<body>',
+    `<header><h1>${escapeHtml(title)}</h1><p>${escapeHtml(subtitle)}</p></header>`,
+    renderPreviewNode(resolvedLayout, 'layout', 1, images),
+    `<footer>Rendered on ${new Date().toISOString()}</footer>`,
+    '</body>',
+    '</html>',
+  ].join('\n');
+}
+
+/**
+ * Prints an HTML preview from `renderTemplatePreview` to a PDF file with a
+ * headless browser (the `browser` option must be headless too)
+ * @param {String} html
+ * @param {String} file path of the PDF
+ * @param {Object} [options] any of `DEFAULT_OPTIONS`
+ */
+export async function printTemplatePreview(html, file, options = {}) {
+  options = withDefaults(options);
+  const browser = options.browser ?? await launchBrowser({ ...options, headless: true });
+  const page = await browser.newPage();
+  try {
+    // layouts can contain any HTML, nothing of it has to run to print it
+    await page.setJavaScriptEnabled(false);
+    await page.setContent(html, { waitUntil: 'load', timeout: options.actionTimeout });
+    await page.pdf({ path: file, format: 'A4', printBackground: true, margin: { top: '1cm', bottom: '1cm' } });
+  } finally {
+    await page.close().catch(() => {});
+    if (!options.browser) {
+      await browser.close();
+    }
+  }
+}
+
+/**
+ * Replaces the org-specific IDs of a decoded layout with the symbolic
+ * references found in the metadata caches of a directory. IDs are unique
+ * across orgs, so the cache of every org is searched
+ * @param {Object} layout
+ * @param {String} [metadataCacheDirectory]
+ * @returns {Promise<Object>}
+ */
+async function resolveCachedLayoutReferences(layout, metadataCacheDirectory) {
+  const idToReference = {};
+  const files = metadataCacheDirectory
+    ? await readdir(metadataCacheDirectory).catch(() => [])
+    : [];
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    try {
+      const cache = JSON.parse(await readFile(join(metadataCacheDirectory, file), 'utf8'));
+      for (const [kind, references] of Object.entries(cache.references ?? {})) {
+        for (const [id, name] of Object.entries(references)) {
+          idToReference[id] = `{{${kind}:${name}}}`;
+        }
+      }
+    } catch (err) {
+      console.log(`warn: ignoring unreadable metadata cache '${file}': ${err.message}`);
+    }
+  }
+  return JSON.parse(replaceOrgIds(JSON.stringify(layout), id => idToReference[id]));
+}
+
+/**
+ * Renders a value of a layout: arrays as a list of their elements, objects
+ * with a field reference as a field, other objects as a section with their
+ * title, text blocks and nested elements
+ */
+function renderPreviewNode(value, key, depth, images) {
+  if (Array.isArray(value)) {
+    const elements = value.map(element => renderPreviewNode(element, key, depth, images)).join('\n');
+    return elements && `<div class="${escapeHtml(key)}">\n${elements}\n</div>`;
+  }
+  if (typeof value === 'string') {
+    return isPreviewField(key, value) ? renderPreviewField(undefined, value) : '';
+  }
+  if (!isPlainObject(value)) {
+    return '';
+  }
+
+  const fieldKey = Object.keys(value).find(elementKey => isPreviewField(elementKey, value[elementKey]));
+  if (fieldKey) {
+    return renderPreviewField(value.label, value[fieldKey]);
+  }
+
+  const heading = ['title', 'name', 'label'].map(headingKey => value[headingKey]).find(text => typeof text === 'string');
+  const parts = depth > 1 && heading ? [`<h${Math.min(depth, 4)}>${escapeHtml(heading)}</h${Math.min(depth, 4)}>`] : [];
+  for (const [elementKey, element] of Object.entries(value)) {
+    if (typeof element === 'string' && PREVIEW_TEXT_KEY_REGEX.test(elementKey)) {
+      parts.push(`<div class="text">${renderPreviewText(element, images)}</div>`);
+    } else if (typeof element === 'object') {
+      parts.push(renderPreviewNode(element, elementKey, depth + 1, images));
+    }
+  }
+  const content = parts.filter(Boolean).join('\n');
+  return depth === 2 ? `<section>\n${content}\n</section>` : content;
+}
+
+function isPreviewField(key, value) {
+  return typeof value === 'string' &&
+    (key === 'fieldId' || /^\{\{field:[^}]+\}\}$/.test(value) || /^00N\w{12}(\w{3})?$/.test(value));
+}
+
+function renderPreviewField(label, fieldValue) {
+  const [, name] = /^\{\{field:([^}]+)\}\}$/.exec(fieldValue) ?? [undefined, fieldValue];
+  const fieldLabel = label ?? name.split('.').at(-1).replace(/__c$/, '').replaceAll('_', ' ');
+  return `<div class="field"><span class="label">${escapeHtml(fieldLabel)}</span><span class="value">[${escapeHtml(name)}]</span></div>`;
+}
+
+/**
+ * Renders a text block of a layout: merge fields and references are shown by
+ * name, bundle images are embedded and images that cannot be loaded without
+ * logging in to the org are replaced with a placeholder
+ */
+function renderPreviewText(text, images) {
+  return text
+    .replace(/<img\b[^>]*>/gi, tag => {
+      const [, , src] = new RegExp(IMG_SRC_REGEX.source, 'i').exec(tag) ?? [];
+      const [, file] = /^\{\{image:([a-zA-Z0-9_.-]+)\}\}$/.exec(src ?? '') ?? [];
+      const image = file && images.find(bundleImage => bundleImage.file === file);
+      if (image?.body) {
+        return tag.replace(src, `data:${image.contentType};base64,${Buffer.from(image.body).toString('base64')}`);
+      }
+      if (src && /^(https?:)?\/\//.test(src) && !src.includes('{{')) {
+        return tag;
+      }
+      return `<span class="image-placeholder">image ${escapeHtml(src ?? '')}</span>`;
+    })
+    .replaceAll(DECODED_TOKEN_REGEX, (token, kind, name) =>
+      `<span class="merge-field">[${escapeHtml(kind === 'field' ? name : `${kind}:${name}`)}]</span>`);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}
+
+/**
+ * Downloads every uploaded image of the retrieved layouts and replaces its
+ * src with an image reference (`{{image:<file>}}`) that is resolved when
+ * deploying
+ * @param {BrowserContext} context browser context logged in to the source org
+ * @param {jsforce.Connection} sourceConnection
+ * @param {Object} layouts report/subtype name => URL-encoded `jsonLayout` param, updated in place
+ * @returns {Promise<Object[]>} the downloaded images, with their `body`
+ */
+async function downloadSourceImages(context, sourceConnection, layouts) {
+  const decodedLayouts = {};
+  const sources = new Set();
+  for (const reportVersionName in layouts) {
+    decodedLayouts[reportVersionName] = decodeJsonLayout(layouts[reportVersionName]);
+    mapLayoutStrings(decodedLayouts[reportVersionName], value => {
+      for (const [, , src] of value.matchAll(IMG_SRC_REGEX)) {
+        if (isOrgHostedImage(src, sourceConnection.instanceUrl)) {
+          sources.add(src);
+        }
+      }
+      return value;
+    });
+  }
+
+  const images = [];
+  const srcToFile = {};
+  for (const src of sources) {
+    try {
+      const image = await downloadSourceImage(context, sourceConnection, src);
+      srcToFile[src] = image.file;
+      if (!images.some(({ file }) => file === image.file)) {
+        images.push(image);
+      }
+      console.log(`fine: downloaded image ${src} => ${image.file}`);
+    } catch (err) {
+      console.log(`warn: could not download image ${src}, keeping it as is: ${err.message}`);
+    }
+  }
+
+  for (const reportVersionName in decodedLayouts) {
+    const layout = mapLayoutStrings(decodedLayouts[reportVersionName], value =>
+      value.replaceAll(IMG_SRC_REGEX, (tag, prefix, src, suffix) =>
+        srcToFile[src] ? `${prefix}{{image:${srcToFile[src]}}}${suffix}` : tag,
+      ),
+    );
+    layouts[reportVersionName] = encodeJsonLayout(layout);
+  }
+  return images;
+}
+
+async function downloadSourceImage(context, sourceConnection, src) {
+  const url = new URL(src.replaceAll('&amp;', '&'), sourceConnection.instanceUrl).href;
+  const imagePage = await context.newPage();
+  try {
+    const response = await imagePage.goto(url);
+    if (!response?.ok()) {
+      throw new Error(`unexpected response status ${response?.status()}`);
+    }
+
+    const body = await response.buffer();
+    const contentType = response.headers()['content-type']?.split(';')[0] ?? 'application/octet-stream';
+    const hash = createHash('sha1').update(body).digest('hex');
+    const file = `${hash}.${IMAGE_EXTENSIONS[contentType] ?? 'bin'}`;
+    return { file, contentType, source: src, body };
+  } finally {
+    await imagePage.close();
+  }
+}
+
+/**
+ * Uploads the bundle images referenced by the layouts to the target org as
+ * public Documents in the `imageDocumentFolder` folder. Images uploaded by a
+ * previous deploy are reused
+ * @param {jsforce.Connection} targetConnection
+ * @param {Object} bundle
+ * @param {Object} options any of `DEFAULT_OPTIONS`
+ * @returns {Promise<Object>} image file => target org image URL
+ */
+export async function uploadTemplateImages(targetConnection, bundle, options) {
+  const { imageDocumentFolder } = withDefaults(options);
+  const files = new Set();
+  for (const reportVersionName in bundle.layouts) {
+    for (const [, file] of bundle.layouts[reportVersionName].matchAll(IMAGE_TOKEN_REGEX)) {
+      files.add(file);
+    }
+  }
+
+  if (!files.size) {
+    console.log('fine: no images to upload');
+    return {};
+  }
+
+  const folderResponse = await targetConnection.query(
+    `SELECT Id FROM Folder WHERE DeveloperName = '${imageDocumentFolder}' AND Type = 'Document'`,
+  );
+  if (!folderResponse.records.length) {
+    throw new Error(`Document folder '${imageDocumentFolder}' not found in target org`);
+  }
+  const folderId = folderResponse.records[0].Id;
+  const organizationId = await getOrganizationId(targetConnection);
+
+  const toDocumentDeveloperName = file => `SRT_${file.split('.')[0].substring(0, 30)}`;
+  const existingDocuments = await queryInChunks(targetConnection, [...files].map(toDocumentDeveloperName), names =>
+    `SELECT Id, DeveloperName FROM Document WHERE DeveloperName IN ('${names.join("','")}')`);
+  const developerNameToDocumentId = Object.fromEntries(
+    existingDocuments.map(document => [document.DeveloperName, document.Id]),
+  );
+
+  const imageFileToTargetUrl = {};
+  for (const file of files) {
+    const developerName = toDocumentDeveloperName(file);
+    let documentId = developerNameToDocumentId[developerName];
+
+    if (documentId) {
+      console.log(`fine: image ${file} already uploaded as ${documentId}`);
+    } else {
+      const image = bundle.images.find(bundleImage => bundleImage.file === file);
+      if (!image?.body) {
+        throw new Error(`Image ${file} is not in the bundle`);
+      }
+      const result = await targetConnection.sobject('Document').create({
+        Name: file,
+        DeveloperName: developerName,
+        FolderId: folderId,
+        Body: image.body.toString('base64'),
+        ContentType: image.contentType,
+        Type: file.split('.').pop(),
+        IsPublic: true,
+      });
+      if (!result.success) {
+        throw new Error(`Could not upload image ${file}: ${JSON.stringify(result.errors)}`);
+      }
+      documentId = result.id;
+      console.log(`fine: uploaded image ${file} as ${documentId}`);
+    }
+
+    imageFileToTargetUrl[file] =
+      `${targetConnection.instanceUrl}/servlet/servlet.ImageServer?id=${documentId}&oid=${organizationId}`;
+  }
+  return imageFileToTargetUrl;
+}
+
+/**
+ * Captures the layout of every deployed report/subtype again from the target
+ * org and compares it with the layout that was deployed
+ * @param {BrowserContext} context
+ * @param {Object} deployment
+ * @param {Object} reportNameToURLMapTarget
+ * @throws {Error} if any target layout does not match
+ */
+async function verifyTargetOrgLayouts(context, deployment, reportNameToURLMapTarget) {
+  const { connection, options, getLayoutForTarget } = deployment;
+  const pairs = getReportSubtypePairs(reportNameToURLMapTarget, options.subtypes)
+    .filter(({ reportName, subtype }) => getLayoutForTarget(reportName, subtype));
+  const results = await runOnPagePool(context, pairs, options, (page, reportName, subtype) =>
+    captureReportLayout(
+      page,
+      connection.instanceUrl,
+      reportNameToURLMapTarget[reportName],
+      SUPPORTED_SUBTYPES[subtype],
+      options,
+    ),
+  );
+
+  const mismatches = [];
+  pairs.forEach(({ reportName, subtype }, index) => {
+    const reportVersionName = `${reportName}_${subtype}`;
+    const jsonLayoutParam = results[index].value;
+
+    const changes = [];
+    if (jsonLayoutParam) {
+      diffLayoutNodes(
+        decodeJsonLayout(getLayoutForTarget(reportName, subtype)),
+        decodeJsonLayout(jsonLayoutParam),
+        [],
+        changes,
+      );
+    }
+
+    if (jsonLayoutParam && !changes.length) {
+      console.log(`fine: verified '${reportName}' / ${SUPPORTED_SUBTYPES[subtype]}: match`);
+      reportTemplateResult(options, 'verify', reportName, subtype, results[index]);
+      return;
+    }
+
+    console.error(`error: verified '${reportName}' / ${SUPPORTED_SUBTYPES[subtype]}: mismatch`);
+    let error = `${changes.length} difference(s) with the deployed layout`;
+    if (results[index].status === 'rejected') {
+      error = `could not capture the target layout: ${results[index].reason.message}`;
+      console.error(`  ${error}`);
+    } else if (!jsonLayoutParam) {
+      error = 'could not capture the target layout';
+      console.error(`  ${error}`);
+    }
+    reportTemplateResult(options, 'verify', reportName, subtype, { duration: results[index].duration, error });
+    changes.slice(0, 10).forEach(change => console.error(`  ${formatLayoutChange(change)}`));
+    if (changes.length > 10) {
+      console.error(`  ... and ${changes.length - 10} more difference(s)`);
+    }
+    mismatches.push(reportVersionName);
+  });
+
+  if (mismatches.length) {
+    throw new Error(`Target layouts do not match the deployed layouts for ${mismatches.join(', ')}`);
+  }
+}
+
+/**
+ * Decodes the URL-encoded `jsonLayout` POST param into the layout object
+ * @param {String} jsonLayoutParam `j_id0%3Af%3AjsonLayout=...` as sent by the template editor
+ */
+export function decodeJsonLayout(jsonLayoutParam) {
+  const encodedLayout = jsonLayoutParam
+    .replace(JSON_LAYOUT_PARAM_PREFIX, '')
+    .replaceAll('+', '%20');
+  return JSON.parse(decodeURIComponent(encodedLayout));
+}
+
+/**
+ * Encodes a layout object back into the `jsonLayout` POST param
+ * @param {Object} layout
+ */
+export function encodeJsonLayout(layout) {
+  return `${JSON_LAYOUT_PARAM_PREFIX}${encodeURIComponent(JSON.stringify(layout))}`;
+}
+
+function toBundleFilename(reportVersionName) {
+  return `${reportVersionName.replace(/[\\/:*?"<>|]/g, '_')}.json`;
+}
+
+/**
+ * Writes every report/subtype layout of a bundle into `directory`, one file
+ * per template, next to a manifest that describes the bundle so that it can
+ * be deployed later without connecting to the source org
+ * @param {String} directory
+ * @param {Object} bundle as returned by `retrieveTemplates`
+ */
+export async function writeTemplateBundle(directory, bundle) {
+  await mkdir(directory, { recursive: true });
+
+  const templates = [];
+  for (const reportName of bundle.reportNames) {
+    for (const subtype of bundle.subtypes) {
+      const reportVersionName = `${reportName}_${subtype}`;
+      if (!bundle.layouts[reportVersionName]) {
+        console.log(`fine: no layout retrieved for '${reportVersionName}', skipping`);
+        continue;
+      }
+
+      templates.push(
+        await writeBundleLayout(directory, reportName, subtype, bundle.layouts[reportVersionName]),
+      );
+    }
+  }
+
+  if (bundle.images.length) {
+    await mkdir(join(directory, BUNDLE_IMAGES_DIRECTORY), { recursive: true });
+  }
+  for (const { file, body } of bundle.images) {
+    await writeFile(join(directory, BUNDLE_IMAGES_DIRECTORY, file), body);
+  }
+
+  await writeBundleManifest(directory, {
+    sourceOrg: bundle.sourceOrg,
+    reportNames: bundle.reportNames,
+    subtypes: bundle.subtypes,
+    templates,
+    images: bundle.images.map(({ body, ...image }) => image),
+    templateMetadata: bundle.templateMetadata,
+    references: bundle.references,
+  });
+}
+
+async function writeBundleLayout(directory, reportName, subtype, jsonLayoutParam) {
+  const file = toBundleFilename(`${reportName}_${subtype}`);
+  await writeFile(
+    join(directory, file),
+    JSON.stringify(decodeJsonLayout(jsonLayoutParam), null, 2),
+  );
+  return { reportName, subtype, file };
+}
+
+async function writeBundleManifest(directory, manifest) {
+  await writeFile(
+    join(directory, BUNDLE_MANIFEST_FILENAME),
+    JSON.stringify({
+      formatVersion: BUNDLE_FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      ...manifest,
+    }, null, 2),
+  );
+}
+
+/**
+ * Saves the current target org layout of a report/subtype into the backup
+ * directory of a deployment before it gets overwritten. Backups use the
+ * bundle format so that they can be read with `readTemplateBundle`
+ * @param {Object} deployment
+ * @param {String} reportName
+ * @param {String} subtype
+ * @param {String} jsonLayoutParam target org layout as sent by the editor
+ */
+function backupTargetLayout(deployment, reportName, subtype, jsonLayoutParam) {
+  // templates are deployed concurrently, write one backup at a time so they
+  // share the backup directory and manifest
+  const backup = deployment.backupQueue.then(() => writeBackupLayout(deployment, reportName, subtype, jsonLayoutParam));
+  deployment.backupQueue = backup.catch(() => {});
+  return backup;
+}
+
+async function writeBackupLayout(deployment, reportName, subtype, jsonLayoutParam) {
+  const { connection, options } = deployment;
+  if (!options.backupDirectory) {
+    return;
+  }
+  if (!deployment.backupDirectory) {
+    deployment.backupDirectory = join(
+      options.backupDirectory,
+      options.targetOrgName,
+      options.backupName ?? new Date().toISOString().replace(/[:.]/g, '-'),
+    );
+    await mkdir(deployment.backupDirectory, { recursive: true });
+    console.log(`info: backing up target layouts to '${deployment.backupDirectory}'`);
+    // a resumed deploy adds to the backup of the deploy it resumes
+    deployment.backupTemplates = await readFile(join(deployment.backupDirectory, BUNDLE_MANIFEST_FILENAME), 'utf8')
+      .then(manifest => JSON.parse(manifest).templates, () => []);
+  }
+
+  const backupTemplate = await writeBundleLayout(deployment.backupDirectory, reportName, subtype, jsonLayoutParam);
+  deployment.backupTemplates = [
+    ...deployment.backupTemplates.filter(template => template.file !== backupTemplate.file),
+    backupTemplate,
+  ];
+  await writeBundleManifest(deployment.backupDirectory, {
+    kind: 'backup',
+    targetOrg: options.targetOrgName,
+    targetOrgUrl: connection.instanceUrl,
+    reportNames: [...new Set(deployment.backupTemplates.map(template => template.reportName))],
+    subtypes: [...new Set(deployment.backupTemplates.map(template => template.subtype))],
+    templates: deployment.backupTemplates,
+  });
+}
+
+/**
+ * @param {String} backupDirectory `backupDirectory` option
+ * @param {String} targetOrgName
+ * @returns {Promise<String>} the latest backup of the target org
+ */
+export async function findLatestBackup(backupDirectory, targetOrgName) {
+  const targetOrgBackupDirectory = join(backupDirectory, targetOrgName);
+  let backups;
+  try {
+    backups = await readdir(targetOrgBackupDirectory, { withFileTypes: true });
+  } catch (err) {
+    throw new Error(`Could not read backup directory '${targetOrgBackupDirectory}': ${err.message}`);
+  }
+
+  const latestBackup = backups
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort()
+    .pop();
+  if (!latestBackup) {
+    throw new Error(`No backups found in '${targetOrgBackupDirectory}'`);
+  }
+  return join(targetOrgBackupDirectory, latestBackup);
+}
+
+/**
+ * Reads a bundle written by `writeTemplateBundle`, or a backup
+ * @param {String} directory
+ * @returns {Promise<Object>} the bundle manifest with the `layouts` of the
+ * bundle, its `references` (reference => source org ID), the `body` of its images and the `malformedLayouts` (report/subtype
+ * name => `{file, error}`) of the layout files that are not valid JSON, which
+ * are left out of `layouts` and reported by `lintTemplates`
+ */
+export async function readTemplateBundle(directory) {
+  const manifestPath = join(directory, BUNDLE_MANIFEST_FILENAME);
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read template bundle manifest '${manifestPath}': ${err.message}`);
+  }
+
+  if (manifest.formatVersion !== BUNDLE_FORMAT_VERSION) {
+    throw new Error(
+      `Unsupported template bundle format version ${manifest.formatVersion}, expected ${BUNDLE_FORMAT_VERSION}`,
+    );
+  }
+
+  const layouts = {};
+  const malformedLayouts = {};
+  for (const { reportName, subtype, file } of manifest.templates) {
+    const layoutFile = await readFile(join(directory, file), 'utf8');
+    try {
+      layouts[`${reportName}_${subtype}`] = encodeJsonLayout(JSON.parse(layoutFile));
+    } catch (err) {
+      malformedLayouts[`${reportName}_${subtype}`] = { file, error: err.message };
+    }
+  }
+  const images = [];
+  for (const image of manifest.images ?? []) {
+    images.push({ ...image, body: await readFile(join(directory, BUNDLE_IMAGES_DIRECTORY, image.file)) });
+  }
+  // backups and bundles written before the references were recorded have none
+  return { ...manifest, references: manifest.references ?? {}, layouts, images, malformedLayouts };
+}
+
+async function grabTargetOrgReportLinks(context, { connection, options, targetTemplateNames }) {
+  const targetNames = Object.keys(targetTemplateNames);
+  const templateIds = await queryTemplateIds(connection, targetNames);
+  const missingReports = targetNames.filter(reportName => !templateIds[reportName]);
+  if (missingReports.length) {
+    throw new Error(`Missing reports in target org ${missingReports.join(', ')}`);
+  }
+  return grabReportLinks(context, connection.instanceUrl, templateIds, options);
+}
+
+async function deployReportTemplatesToTargetOrg(context, deployment, reportNameToURLMapTarget) {
+  const { options, operation, targetTemplateNames, getLayoutForTarget } = deployment;
+  const pairs = getReportSubtypePairs(reportNameToURLMapTarget, options.subtypes).filter(({ reportName, subtype }) => {
+    if (!getLayoutForTarget(reportName, subtype)) {
+      console.log(`fine: no layout to deploy for '${reportName}_${subtype}', skipping`);
+      return false;
+    }
+    if (options.deployedTemplates.includes(`${reportName}_${subtype}`)) {
+      console.log(`fine: '${reportName}_${subtype}' already deployed, skipping`);
+      return false;
+    }
+    return true;
+  });
+  const results = await runOnPagePool(context, pairs, options, (page, reportName, subtype) =>
+    deployReportTemplate(page, deployment, reportName, subtype, reportNameToURLMapTarget[reportName]),
+  );
+
+  let savedCount = 0;
+  const failedTemplates = [];
+  pairs.forEach(({ reportName, subtype }, index) => {
+    const reportVersionName = `${reportName}_${subtype}`;
+    reportTemplateResult(options, operation, reportName, subtype, {
+      ...results[index],
+      sourceTemplate: targetTemplateNames[reportName],
+    });
+    if (results[index].status === 'fulfilled') {
+      savedCount++;
+    } else {
+      console.error(`error: '${reportVersionName}' was not migrated: ${results[index].reason.message}`);
+      failedTemplates.push(reportVersionName);
+    }
+  });
+
+  console.log(`info: ${savedCount} report/subtype layout(s) saved in target org`);
+  if (failedTemplates.length) {
+    throw new Error(`Quick Save was not confirmed for ${failedTemplates.join(', ')}`);
+  }
+}
+
+async function deployReportTemplate(newReportPage, deployment, reportName, subtypeName, url) {
+  const { connection, options } = deployment;
+  const subtypeLabel = SUPPORTED_SUBTYPES[subtypeName];
+  console.log(
+    `fine: deploying '${reportName}' report for subtype '${subtypeLabel}'`,
+  );
+  const reportVersionName = `${reportName}_${subtypeName}`;
+  const jsonLayoutParam = deployment.getLayoutForTarget(reportName, subtypeName);
+  let layoutReplaced = false;
+
+  await gotoPage(newReportPage, `${connection.instanceUrl}${url}`, options);
+  await goToTemplateSubtype(newReportPage, subtypeLabel, options.actionTimeout);
+
+  await newReportPage.setRequestInterception(true);
+
+  newReportPage.on('request', async request => {
+    const request_post_data = request.postData();
+
+    if (isLayoutSaveRequest(request)) {
+      const regex = JSON_LAYOUT_PARAM_REGEX;
+      const matchedString = regex.exec(request_post_data)[0];
+
+      if (!layoutReplaced) {
+        try {
+          await backupTargetLayout(deployment, reportName, subtypeName, matchedString);
+        } catch (err) {
+          console.error(`error: could not back up '${reportVersionName}', skipping it: ${err.message}`);
+          request.abort();
+          return;
+        }
+      }
+
+      request.continue({
+        postData: request_post_data.replace(
+          matchedString,
+          jsonLayoutParam,
+        ),
+      });
+
+      if (options.writePOSTDataToFile && !layoutReplaced) {
+        const dataToWriteFormatted = JSON.stringify(
+          decodeJsonLayout(jsonLayoutParam),
+          null,
+          2,
+        );
+
+        writeFile(
+          `${reportVersionName}.target.json`,
+          dataToWriteFormatted,
+        ).catch(err => {
+          console.error(err);
+        });
+      }
+      layoutReplaced = true;
+    } else {
+      request.continue();
+    }
+  });
+
+  const message = await clickQuickSave(newReportPage, options.actionTimeout);
+  console.log(`fine: '${reportVersionName}' saved${message ? `: ${message}` : ''}`);
+}
+
+/**
+ * Clicks Quick Save and waits for the server to answer the save request
+ * @param {Page} reportPage template editor page
+ * @param {Number} actionTimeout
+ * @returns {Promise<?String>} the confirmation message shown by the editor, if any
+ * @throws {Error} if the save request fails or the editor shows an error message
+ */
+async function clickQuickSave(reportPage, actionTimeout) {
+  const button = await findQuickSaveButton(reportPage);
+
+  let onRequestFailed;
+  const saveResponse = new Promise((resolve, reject) => {
+    onRequestFailed = request => {
+      if (isLayoutSaveRequest(request)) {
+        reject(new Error(`Quick Save request failed: ${request.failure()?.errorText}`));
+      }
+    };
+    reportPage.on('requestfailed', onRequestFailed);
+    reportPage
+      .waitForResponse(response => isLayoutSaveRequest(response.request()), { timeout: actionTimeout })
+      .then(resolve, reject);
+  });
+
+  let response;
+  try {
+    [response] = await Promise.all([saveResponse, button.click()]);
+  } finally {
+    reportPage.off('requestfailed', onRequestFailed);
+  }
+
+  if (!response.ok()) {
+    throw new Error(`Quick Save request failed with status ${response.status()}`);
+  }
+  await reportPage.waitForNetworkIdle({ idleTime: 500, timeout: actionTimeout });
+
+  const errorMessage = await getEditorMessage(reportPage, EDITOR_ERROR_MESSAGE_SELECTOR);
+  if (errorMessage !== null || EDITOR_ERROR_MESSAGE_REGEX.test(await response.text())) {
+    throw new Error(`Quick Save failed: ${errorMessage ?? 'the editor returned an error'}`);
+  }
+  return getEditorMessage(reportPage, EDITOR_CONFIRM_MESSAGE_SELECTOR);
+}
+
+async function findQuickSaveButton(reportPage) {
+  const [button] = await reportPage.$x("//button[contains(., 'Quick Save')]");
+  if (!button) {
+    throw new Error('Quick Save button not found');
+  }
+  return button;
+}
+
+async function getEditorMessage(reportPage, selector) {
+  const message = await reportPage.$(selector);
+  return message && (await message.evaluate(element => element.innerText)).trim();
+}
+
+/**
+ * Switches the template editor to a subtype and waits until the editor has
+ * reloaded it
+ * @param {Page} reportPage template editor page
+ * @param {String} subtypeLabel
+ * @param {Number} actionTimeout
+ */
+async function goToTemplateSubtype(reportPage, subtypeLabel, actionTimeout) {
+  const picklistSelector = 'select[name$="childLayoutPicklist:templateList"]';
+  await reportPage.waitForSelector(picklistSelector, { timeout: actionTimeout });
+  let optionValue = await reportPage.$$eval(
+    `${picklistSelector} option`,
+    (options, subtypeLabel) =>
+      options.find(o => o.innerText === subtypeLabel)?.value,
+    subtypeLabel,
+  );
+  if (optionValue === undefined) {
+    throw new Error(`Subtype '${subtypeLabel}' not found in the template editor`);
+  }
+  if (await reportPage.$eval(picklistSelector, picklist => picklist.value) === optionValue) {
+    return;
+  }
+
+  await Promise.all([
+    reportPage.waitForResponse(
+      response =>
+        response.url().includes('/servicereport/serviceReportTemplateEditor.apexp') &&
+        response.request().method() === 'POST',
+      { timeout: actionTimeout },
+    ),
+    reportPage.select(picklistSelector, optionValue),
+  ]);
+  await reportPage.waitForFunction(
+    (selector, value) => document.querySelector(selector)?.value === value,
+    { timeout: actionTimeout },
+    picklistSelector,
+    optionValue,
+  );
+  await reportPage.waitForNetworkIdle({ idleTime: 500, timeout: actionTimeout });
+}
@@ -2,72 +2,306 @@
  * Copyright (c) 2022, Daniel Nakonieczny
  * All rights reserved.
  * date: June 28 2022
- * description: Contains the Service Report Template Migrator code
+ * description: Command line of the Service Report Template Migrator, loads
+ * the configuration with config.js and runs the migrator.js API
  */
 
-import { launch } from 'puppeteer';
 import { parse } from 'yaml';
-import jsforce from 'jsforce';
-import { appendFile, writeFile, readFile } from "fs/promises";
+import { appendFile, writeFile, readFile, rm, mkdir } from "fs/promises";
+import { basename, join } from 'path';
+import { createInterface } from 'readline';
 import { config } from 'dotenv';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
+import { loginEnvironment } from './auth.js';
+import { loadConfig, saveTemplateSelection } from './config.js';
+import {
+  SUPPORTED_SUBTYPES,
+  launchBrowser,
+  selectTemplates,
+  listTemplates,
+  retrieveTemplates,
+  writeTemplateBundle,
+  readTemplateBundle,
+  mapFieldIds,
+  lintTemplates,
+  uploadTemplateImages,
+  transformTemplate,
+  planDeployment,
+  deployTemplates,
+  rollbackTemplates,
+  findLatestBackup,
+  captureTemplateLayout,
+  resolveLayoutReferences,
+  diffLayouts,
+  formatLayoutChange,
+  decodeJsonLayout,
+  renderTemplatePreview,
+  printTemplatePreview,
+} from './migrator.js';
 config();
 
 const argv = yargs(hideBin(process.argv))
   .command("retrieve")
   .command("deploy")
   .command("all")
+  .command("diff", "Diff a report template subtype between orgs or files", yargs => yargs
+    .option('template', {
+      alias: 't',
+      string: true,
+      demandOption: true,
+      describe: 'DeveloperName of the report template',
+    })
+    .option('subtype', {
+      alias: 's',
+      string: true,
+      demandOption: true,
+      describe: 'Subtype to diff (SA_WO, SA_WOLI, WO or WOLI)',
+    })
+    .option('left', {
+      string: true,
+      default: 'source',
+      describe: "'source', 'target' or a *.source.json/*.target.json file",
+    })
+    .option('right', {
+      string: true,
+      default: 'target',
+      describe: "'source', 'target' or a *.source.json/*.target.json file",
+    }))
+  .command("rollback", "Restore the target org templates from a backup", yargs => yargs
+    .option('backup', {
+      string: true,
+      describe: 'Backup directory to restore, defaults to the latest backup',
+    }))
+  .command("preview", "Render a retrieved report template subtype as HTML and PDF", yargs => yargs
+    .option('template', {
+      alias: 't',
+      string: true,
+      describe: 'DeveloperName of the report template in the bundle',
+    })
+    .option('subtype', {
+      alias: 's',
+      string: true,
+      describe: 'Subtype to preview (SA_WO, SA_WOLI, WO or WOLI)',
+    })
+    .option('file', {
+      alias: 'f',
+      string: true,
+      describe: 'A *.source.json or bundle layout file to preview instead of a template of the bundle',
+    })
+    .option('output', {
+      string: true,
+      describe: 'Directory where the preview is written, overrides previewDirectory',
+    })
+    .option('pdf', {
+      boolean: true,
+      default: true,
+      describe: 'Print the preview to PDF, --no-pdf only writes the HTML',
+    })
+    .check(args => Boolean(args.file || (args.template && args.subtype)) || 'Set --template and --subtype, or --file'))
   .option('headless', {
     alias: 'x',
     boolean: true,
-    default: false
+    describe: 'Run Chromium without a window, overrides runInBackground',
+  })
+  .option('config', {
+    string: true,
+    describe: 'The config file, defaults to SRTM_CONFIG or config.yml',
+  })
+  .option('profile', {
+    string: true,
+    describe: 'The profile of the config file (profiles.<name>) to use, defaults to SRTM_PROFILE',
+  })
+  .option('set', {
+    array: true,
+    string: true,
+    describe: 'Override a config key, e.g. --set concurrency=8 --set targetOrgAuth.method=jwt',
+  })
+  .option('dry-run', {
+    alias: 'd',
+    boolean: true,
+    default: false,
+    describe: 'Print what a deploy would change in the target org without changing it',
+  })
+  .option('target-org', {
+    alias: 'o',
+    array: true,
+    string: true,
+    describe: 'Names of the target orgs (from targetOrgs) to use, defaults to all of them',
+  })
+  .option('bundle', {
+    alias: 'b',
+    string: true,
+    describe: 'Directory where the template bundle is written to or read from',
+  })
+  .option('refresh-metadata-cache', {
+    boolean: true,
+    default: false,
+    describe: 'Ignore the cached field and object metadata of the orgs used in this run and fetch it again',
+  })
+  .option('report-name', {
+    array: true,
+    string: true,
+    describe: 'DeveloperNames of the templates to retrieve, overrides the selection in config.yml',
+  })
+  .option('report-label', {
+    array: true,
+    string: true,
+    describe: 'MasterLabels of the templates to retrieve, overrides the selection in config.yml',
+  })
+  .option('report-pattern', {
+    array: true,
+    string: true,
+    describe: 'Glob (e.g. "NA_*") or /regex/ matched against DeveloperName and MasterLabel',
+  })
+  .option('all-templates', {
+    boolean: true,
+    describe: 'Retrieve every active template of the source org',
+  })
+  .option('report', {
+    string: true,
+    describe: 'File where the JSON run report is written, overrides runReportFilename',
+  })
+  .option('junit', {
+    string: true,
+    describe: 'File where the run report is written as JUnit XML, overrides junitReportFilename',
+  })
+  .option('lint', {
+    boolean: true,
+    default: true,
+    describe: 'Check the templates before deploying them, --no-lint skips the check',
+  })
+  .option('prune', {
+    string: true,
+    choices: ['deactivate', 'delete'],
+    coerce: mode => mode === '' ? 'deactivate' : mode,
+    describe: 'Deactivate (--prune) or delete (--prune delete) the target org templates that are not deployed',
+  })
+  .option('resume', {
+    boolean: true,
+    default: false,
+    describe: 'Continue an interrupted retrieve, deploy or all run from the state in stateFilename',
+  })
+  .option('interactive', {
+    alias: 'i',
+    boolean: true,
+    default: false,
+    describe: 'Pick the templates and subtypes to retrieve from a checklist of the source org templates',
   })
+  .check(args => !args.interactive || ['retrieve', 'all'].includes(args._[0]) || '--interactive can only be used with retrieve or all')
   .strictCommands()
   .strictOptions()
   .demandCommand(1, 2, "Please select a command", "Not more than 1 command available")
   .argv;
 
-const CUSTOM_FIELD_ID_REGEX = /00N[a-zA-Z0-9]{12}/g;
-const JSON_LAYOUT_PARAM_REGEX = /j_id0%3Af%3AjsonLayout[^&?]*?=[^&?]*/;
-const IMG_TAG_REGEX_1 = /(?<=%3Cimg).*?(?=%2F%3E)/g;
-const IMG_TAG_REGEX_2 = /(?<=%3Cimg).*?(?=%3C%2Fimg%3E)/g;
-const EMPTY_IMG_TAG_1 = '%3Cimg%2F%3E';
-const EMPTY_IMG_TAG_2 = '%3Cimg%3C%2Fimg%3E';
-const reportNamesFile = await readFile('./config.yml', 'utf8');
-const yamlConfig = parse(reportNamesFile);
-const reportNames = yamlConfig.reportNames;
-const subtypesToMigrate = yamlConfig.reportSubtypesToMigrate;
-const LOG_POST_DATA = yamlConfig.writePOSTDataToFile;
-const ERROR_LOG_FILENAME = yamlConfig.errorLogFilename;
-const WINDOW_WIDTH = yamlConfig.windowWidth;
-const WINDOW_HEIGHT = yamlConfig.windowHeight;
-const TIMEOUT_BETWEEN_ACTIONS = yamlConfig.timeoutBetweenActions;
-const REPLACE_SOURCE_IMAGES = yamlConfig.removeSourceImages;
-const IMAGE_REPLACEMENT_TEXT = yamlConfig.imageReplacementText;
-const SUPPORTED_SUBTYPES = {
-  SA_WO: 'Service Appointment for Work Order',
-  SA_WOLI: 'Service Appointment for Work Order Line Item',
-  WO: 'Work Order',
-  WOLI: 'Work Order Line Item',
-};
 
-let browser;
-let incognitoContext;
-let openedPages = [];
-let reportNameToJSON = {};
-let reportNameToJSONReplaced = {};
-let customObjectIdsToLookup = [];
-let sourceObjectIdToNameMap = {};
-let sourceObjectIdToSObject = {};
-let sourceObjectIdMap = {};
-let api_name_list = [];
-
-function sleep(ms) {
-  return new Promise(resolve => {
-    setTimeout(resolve, ms);
-  });
+// 0: success, 1: finished but a template, verification, target org or diff
+// failed, 2: stopped on an error
+const EXIT_CODE_FAILED = 1;
+const EXIT_CODE_ERROR = 2;
+let loadedConfig;
+try {
+  loadedConfig = await loadConfig({ filename: argv.config, profile: argv.profile, overrides: argv.set });
+} catch (err) {
+  console.error(`error: ${err.message}`);
+  process.exit(EXIT_CODE_ERROR);
+}
+const { config: CONFIG, filename: CONFIG_FILENAME, profile: CONFIG_PROFILE } = loadedConfig;
+if (CONFIG_PROFILE) {
+  console.log(`info: using profile '${CONFIG_PROFILE}' of '${CONFIG_FILENAME}'`);
 }
+const TEMPLATE_SELECTION = argv.reportName || argv.reportLabel || argv.reportPattern || argv.allTemplates
+  ? {
+    names: argv.reportName ?? [],
+    labels: argv.reportLabel ?? [],
+    patterns: argv.reportPattern ?? [],
+    all: argv.allTemplates ?? false,
+  }
+  : {
+    names: CONFIG.reportNames,
+    labels: CONFIG.reportLabels,
+    patterns: CONFIG.reportPatterns,
+    all: CONFIG.migrateAllTemplates,
+  };
+const ERROR_LOG_FILENAME = CONFIG.errorLogFilename;
+const RUN_REPORT_FILENAME = argv.report ?? CONFIG.runReportFilename;
+const JUNIT_REPORT_FILENAME = argv.junit ?? CONFIG.junitReportFilename;
+const RUN_REPORT_FORMAT_VERSION = 1;
+const STATE_FILENAME = CONFIG.stateFilename;
+const STATE_FORMAT_VERSION = 1;
+const BUNDLE_DIRECTORY = argv.bundle ?? CONFIG.bundleDirectory;
+const BACKUP_DIRECTORY = CONFIG.backupDirectory;
+const PREVIEW_DIRECTORY = argv.output ?? CONFIG.previewDirectory;
+
+const command = argv._[0];
+const shouldRetrieve = command === 'retrieve' || command === 'all';
+const shouldDeploy = command === 'deploy' || command === 'all';
+const shouldRollback = command === 'rollback';
+const diffSides = command === 'diff' ? [argv.left, argv.right] : [];
+const diffOrgs = diffSides.map(getDiffSideOrg);
+// the state is only kept for the commands that change something
+const tracksState = Boolean(STATE_FILENAME) && (shouldRetrieve || shouldDeploy) && !argv.dryRun;
+
+let browser;
+let migrationState;
+const runReport = {
+  formatVersion: RUN_REPORT_FORMAT_VERSION,
+  command,
+  dryRun: argv.dryRun,
+  startedAt: new Date().toISOString(),
+  templates: [],
+  targetOrgs: [],
+  errors: [],
+};
+
+// registered before the first step that can throw, so that every error exits
+// with EXIT_CODE_ERROR and writes the run report
+process.on('uncaughtException', async err => {
+  console.error(err);
+  runReport.errors.push({ time: new Date().toISOString(), message: err.message });
+  await browser?.close().catch(() => {});
+  await finishMigrationState(EXIT_CODE_ERROR);
+  await writeRunReports(EXIT_CODE_ERROR);
+  process.exit(EXIT_CODE_ERROR);
+});
+
+const FIELD_RULES = await readFieldRules(CONFIG.fieldRulesFilename).catch(stopOnConfigError);
+const MIGRATOR_OPTIONS = {
+  subtypes: CONFIG.reportSubtypesToMigrate,
+  templateMapping: CONFIG.templateMapping,
+  removeSourceImages: CONFIG.removeSourceImages,
+  imageReplacementText: CONFIG.imageReplacementText,
+  migrateSourceImages: CONFIG.migrateSourceImages,
+  imageDocumentFolder: CONFIG.imageDocumentFolder,
+  fieldRules: FIELD_RULES,
+  missingFieldPolicy: CONFIG.missingFieldPolicy,
+  missingFieldPlaceholder: CONFIG.missingFieldPlaceholder,
+  createMissingTemplates: CONFIG.createReportsInTargetOrg,
+  headless: argv.headless ?? CONFIG.runInBackground,
+  windowWidth: CONFIG.windowWidth,
+  windowHeight: CONFIG.windowHeight,
+  browserArgs: CONFIG.browserArgs,
+  actionTimeout: CONFIG.actionTimeout,
+  retries: CONFIG.retries,
+  retryDelay: CONFIG.retryDelay,
+  concurrency: CONFIG.concurrency,
+  taskTimeout: CONFIG.taskTimeout,
+  writePOSTDataToFile: CONFIG.writePOSTDataToFile,
+  verifyDeployment: CONFIG.verifyDeployment,
+  syncTemplateMetadata: CONFIG.syncTemplateMetadata,
+  prune: argv.prune,
+  backupDirectory: BACKUP_DIRECTORY,
+  metadataCacheDirectory: CONFIG.metadataCacheDirectory,
+  metadataCacheMaxAge: CONFIG.metadataCacheMaxAge,
+  refreshMetadataCache: argv.refreshMetadataCache,
+  onTemplateResult: recordTemplateResult,
+};
+
+
+let bundle;
+let currentTargetOrg;
+let currentTargetOrgDetails;
+let stateQueue = Promise.resolve();
 
 const logAndExit = async stringError => {
   try {
@@ -80,560 +314,879 @@ const logAndExit = async stringError => {
 
 await writeFile(ERROR_LOG_FILENAME, '', { flag: 'a' });
 
-console.log('info: login to source environment');
-const sourceConnection = await loginEnvironment(
-  process.env.SOURCE_ORG_LOGIN_URL,
-  process.env.SOURCE_ORG_ACCESS_TOKEN,
-  process.env.SOURCE_ORG_USERNAME,
-  process.env.SOURCE_ORG_PASSWORD,
-  process.env.SOURCE_ORG_SECURITY_TOKEN,
-)
-
-console.log('info: login to target environment');
-const targetConnection = await loginEnvironment(
-  process.env.TARGET_ORG_LOGIN_URL,
-  process.env.TARGET_ORG_ACCESS_TOKEN,
-  process.env.TARGET_ORG_USERNAME,
-  process.env.TARGET_ORG_PASSWORD,
-  process.env.TARGET_ORG_SECURITY_TOKEN,
-)
-
-await validateReports(reportNames)
-
-console.log(`info: opening browser ${argv.headless && 'in headless mode' || ''}`);
-browser = await launch({
-  headless: argv.headless,
-  args: [`--window-size=${WINDOW_WIDTH},${WINDOW_HEIGHT}`],
-  defaultViewport: {
-    width: WINDOW_WIDTH,
-    height: WINDOW_HEIGHT,
-  },
-});
+migrationState = await loadMigrationState();
+const retrieveCompleted = Boolean(migrationState.retrieve.completedAt);
+const needsSourceOrg = (shouldRetrieve && !retrieveCompleted) || diffOrgs.includes('source');
+const needsTargetOrg = diffOrgs.includes('target');
+const needsBrowser = (shouldRetrieve && !retrieveCompleted) ||
+  (shouldDeploy && !argv.dryRun) ||
+  shouldRollback ||
+  diffSides.some(side => side === 'source' || side === 'target');
+const targetOrgs = getTargetOrgs(argv.targetOrg);
+
+let sourceConnection;
+let targetConnection;
+
+if (needsSourceOrg) {
+  console.log('info: login to source environment');
+  sourceConnection = await loginEnvironment('SOURCE_ORG', CONFIG.sourceOrgAuth)
+}
 
-incognitoContext = await browser.createIncognitoBrowserContext();
-await sleep(TIMEOUT_BETWEEN_ACTIONS);
-console.log('info: Login to source in browser');
-await loginToOrg(sourceConnection.loginUrl, sourceConnection.accessToken);
-await sleep(TIMEOUT_BETWEEN_ACTIONS);
-console.log('info: Login to target in browser');
-await loginToOrg(targetConnection.loginUrl, targetConnection.accessToken, true);
-await sleep(TIMEOUT_BETWEEN_ACTIONS);
-console.log('info: grabing source report links');
-const reportNameToURLMapSource = await grabSourceOrgReportLinks();
-await sleep(TIMEOUT_BETWEEN_ACTIONS);
-console.log('info: Grabing source reports');
-await grabSourceOrgReportJSON(reportNameToURLMapSource);
-await sleep(TIMEOUT_BETWEEN_ACTIONS);
-console.log('info: Cleaning tabs');
-await cleanupTabs();
-await sleep(TIMEOUT_BETWEEN_ACTIONS);
-console.log('info: extracting source org information')
-await extractSourceOrgCustomObjectsAndFields();
-await sleep(TIMEOUT_BETWEEN_ACTIONS);
-console.log('info: matching to target org information')
-const sourceFieldIdMap = await matchSourceToTargetOrgCustomObjectAndFieldIds();
-await sleep(TIMEOUT_BETWEEN_ACTIONS);
-console.log('info: replacing information in target org')
-await replaceCustomFieldIds(sourceFieldIdMap);
-console.log('info: Creating missing reports in target');
-await createReportsInTargetOrg(reportNames);
-console.log('info: Grabing target report links');
-await sleep(TIMEOUT_BETWEEN_ACTIONS);
-const reportNameToURLMapTarget = await grabTargetOrgReportLinks();
-await sleep(TIMEOUT_BETWEEN_ACTIONS);
-await deployReportTemplatesToTargetOrg(reportNameToURLMapTarget);
-
-console.log('info: success!');
-
-await browser.close();
-
-async function loginEnvironment(loginUrl, accessToken, username, password, token) {
-  const connection = new jsforce.Connection({
-    loginUrl,
-    accessToken,
-    instanceUrl: loginUrl,
-    version: '55.0',
-  });
-  if (!connection.accessToken) {
-    await sourceConnection.login(
-      username,
-      `${password}${token}`,
-    );
-  }
-  return connection;
+let sourceTemplateIds;
+if (shouldRetrieve && !retrieveCompleted && argv.interactive) {
+  ({ templateIds: sourceTemplateIds, subtypes: MIGRATOR_OPTIONS.subtypes } = await pickTemplates(sourceConnection));
+} else if (shouldRetrieve && !retrieveCompleted) {
+  sourceTemplateIds = await selectTemplates(sourceConnection, TEMPLATE_SELECTION);
+} else if (shouldDeploy) {
+  console.log(`info: reading template bundle from '${BUNDLE_DIRECTORY}'`);
+  bundle = await readTemplateBundle(BUNDLE_DIRECTORY);
 }
 
-/**
- * 
- * @param {String[]} reportNames 
- */
-async function validateReports(reportNames) {
-  console.log('fine: validating reports in source org')
-  const response = await sourceConnection.query(`SELECT Id, DeveloperName FROM ServiceReportLayout WHERE DeveloperName IN ('${reportNames.join("','")}')`)
-  const reportsInOrg = new Set(response.records.map(report => report.DeveloperName));
-  const missingReports = reportNames
-    .filter(report => !reportsInOrg.has(report))
+if (needsTargetOrg) {
+  console.log(`info: login to target environment '${targetOrgs[0].name}'`);
+  targetConnection = await loginEnvironment(targetOrgs[0].envPrefix, targetOrgs[0].auth);
+}
 
-  if (missingReports.length) {
-    throw new Error(`Missing reports ${missingReports.join(', ')}`)
-  }
+if (needsBrowser) {
+  browser = await launchBrowser(MIGRATOR_OPTIONS);
 }
 
-async function logErrors(messagesArray) {
-  console.error('The following errors happened:');
-  console.error(messagesArray);
-  let formattedErrors = messagesArray.map(
-    message => `${new Date().toLocaleString()} ${message}`,
-  );
-  logAndExit(`${formattedErrors.join('\r\n')}\r\n`);
+if (shouldRetrieve && retrieveCompleted) {
+  console.log('info: templates already retrieved by the interrupted run');
+} else if (shouldRetrieve) {
+  bundle = await retrieveTemplates(sourceConnection, {
+    ...MIGRATOR_OPTIONS,
+    templates: sourceTemplateIds,
+    browser,
+    retrievedLayouts: Object.fromEntries(
+      Object.entries(migrationState.retrieve.layouts).map(([name, { jsonLayout }]) => [name, jsonLayout]),
+    ),
+    onLayoutRetrieved: (reportVersionName, jsonLayout) => updateMigrationState(state => {
+      state.retrieve.layouts[reportVersionName] = { retrievedAt: new Date().toISOString(), jsonLayout };
+    }),
+  });
+  console.log(`info: writing template bundle to '${BUNDLE_DIRECTORY}'`);
+  await writeTemplateBundle(BUNDLE_DIRECTORY, bundle);
+  runReport.sourceReferences = Object.entries(bundle.references)
+    .map(([reference, sourceId]) => ({ reference, sourceId }));
+  // the bundle has the layouts now, they are not needed in the state anymore
+  await updateMigrationState(state => {
+    state.retrieve = { completedAt: new Date().toISOString(), layouts: {} };
+  });
 }
 
-async function loginToOrg(loginUrl, accessToken, incognito) {
-  if (!accessToken) {
-    let message = 'Browser login failed. Please run this script again.';
-    logAndExit(`${new Date().toLocaleString()} ${message}\r\n`);
+if (shouldDeploy || shouldRollback) {
+  if (shouldRollback && argv.backup && targetOrgs.length > 1) {
+    throw new Error('--backup can only be used with a single target org, select it with --target-org');
   }
 
-  let loginPage;
-
-  if (incognito) {
-    loginPage = await incognitoContext.newPage();
-  } else {
-    loginPage = await browser.newPage();
+  const targetOrgResults = [];
+  for (const targetOrg of targetOrgs) {
+    if (shouldDeploy && migrationState.targetOrgs[targetOrg.name]?.completedAt) {
+      console.log(`info: target org '${targetOrg.name}' already deployed by the interrupted run, skipping`);
+      continue;
+    }
+    const startTime = Date.now();
+    console.log(`info: ${shouldDeploy ? 'deploying to' : 'rolling back'} target org '${targetOrg.name}'`);
+    currentTargetOrg = targetOrg;
+    currentTargetOrgDetails = {
+      referenceToTargetId: {},
+      missingReferences: [],
+      droppedReferences: {},
+      lintProblems: [],
+      imagesRemoved: {},
+    };
+    let targetOrgResult;
+    try {
+      targetConnection = await loginEnvironment(targetOrg.envPrefix, targetOrg.auth);
+      if (shouldDeploy) {
+        await deployToTargetOrg(targetConnection, targetOrg);
+      } else {
+        await rollbackTargetOrg(targetConnection, targetOrg, argv.backup);
+      }
+      targetOrgResult = { name: targetOrg.name, success: true, duration: Date.now() - startTime };
+    } catch (err) {
+      console.error(`error: target org '${targetOrg.name}' failed: ${err.message}`);
+      targetOrgResult = { name: targetOrg.name, success: false, duration: Date.now() - startTime, error: err.message };
+    }
+    targetOrgResults.push(targetOrgResult);
+    recordTargetOrgResult(targetOrgResult);
   }
+  currentTargetOrg = undefined;
 
-  await loginPage.goto(`${loginUrl}/secur/frontdoor.jsp?sid=${accessToken}`);
-  await loginPage.waitForTimeout(TIMEOUT_BETWEEN_ACTIONS);
+  printTargetOrgSummary(targetOrgResults);
+  if (targetOrgResults.some(result => !result.success)) {
+    process.exitCode = EXIT_CODE_FAILED;
+  }
+}
 
-  const pageUrl = await loginPage.url();
+if (command === 'diff') {
+  await diffReportTemplates(argv.template, argv.subtype, argv.left, argv.right);
+}
 
-  if (pageUrl.includes('ec=302')) {
-    //sometimes the frontdoor.jsp login doesn't work and the script needs to be restarted
-    let message = 'Browser login failed. Please run this script again.';
-    logAndExit(`${new Date().toLocaleString()} ${message}\r\n`);
-  }
+if (command === 'preview') {
+  await previewReportTemplate(argv);
 }
 
-async function cleanupTabs() {
-  for (let p of openedPages) {
-    p.close();
-  }
+console.log(`info: ${process.exitCode ? 'finished with errors' : 'success!'}`);
+
+await browser?.close();
+await finishMigrationState(process.exitCode ?? 0);
+await writeRunReports(process.exitCode ?? 0);
 
-  openedPages = [];
+/**
+ * @param {?String} filename the `fieldRulesFilename` config
+ * @returns {Promise<Object>} the field rules, none if no file is set
+ * @throws {Error} if the file cannot be read or is not a map of rules
+ */
+async function readFieldRules(filename) {
+  if (!filename) {
+    return {};
+  }
+  let fieldRules;
+  try {
+    // an empty rules file parses to null
+    fieldRules = parse(await readFile(filename, 'utf8')) ?? {};
+  } catch (err) {
+    throw new Error(`Invalid configuration: could not read the field rules file '${filename}' (fieldRulesFilename): ${err.message}`);
+  }
+  if (typeof fieldRules !== 'object' || Array.isArray(fieldRules)) {
+    throw new Error(`Invalid configuration: the field rules file '${filename}' (fieldRulesFilename) must be a map of fields`);
+  }
+  return fieldRules;
 }
 
-async function createReportsInTargetOrg() {
-  const query = `SELECT Id, DeveloperName, MasterLabel, TemplateType FROM ServiceReportLayout WHERE DeveloperName IN ('${reportNames.join("','")}')`;
-  const response = await targetConnection.query(query)
-  const reportsInOrg = new Set(response.records.map(report => report.DeveloperName));
-  const missingReports = reportNames
-    .filter(report => !reportsInOrg.has(report))
+/**
+ * Stops the run on a configuration error found after the config was loaded,
+ * with the error in the run report
+ * @param {Error} err
+ */
+async function stopOnConfigError(err) {
+  console.error(`error: ${err.message}`);
+  runReport.errors.push({ time: new Date().toISOString(), message: err.message });
+  await writeRunReports(EXIT_CODE_ERROR);
+  process.exit(EXIT_CODE_ERROR);
+}
 
-  if (!missingReports.length) {
-    console.log('fine: all records exist in target org, doing nothing...')
+/**
+ * Returns the target orgs of the `targetOrgs` config, or the single
+ * `TARGET_ORG` one when it is not set
+ * @param {String[]} [selectedNames] names selected with --target-org
+ * @returns {{name: String, envPrefix: String, auth: Object}[]}
+ */
+function getTargetOrgs(selectedNames) {
+  const configuredTargetOrgs = CONFIG.targetOrgs
+    ? Object.entries(CONFIG.targetOrgs).map(([name, { envPrefix, ...auth }]) => ({
+      name,
+      envPrefix: envPrefix ?? `${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_ORG`,
+      auth,
+    }))
+    : [{ name: 'target', envPrefix: 'TARGET_ORG', auth: CONFIG.targetOrgAuth }];
+
+  if (!selectedNames?.length) {
+    return configuredTargetOrgs;
   }
 
-  for (let reportName of missingReports) {
-    console.log(`fine: '${reportName}' does not exist or is inactive, creating it`)
-    let newReportPage = await incognitoContext.newPage();
-    await newReportPage.goto(
-      `${process.env.TARGET_ORG_LOGIN_URL}/_ui/support/fieldservice/ui/ServiceReportTemplateClone/e?p1=${reportName}`,
-      { waitUntil: 'networkidle0' },
+  const unknownNames = selectedNames.filter(name => !configuredTargetOrgs.some(targetOrg => targetOrg.name === name));
+  if (unknownNames.length) {
+    throw new Error(
+      `Unknown target org(s) ${unknownNames.join(', ')}, expected one of ${configuredTargetOrgs.map(targetOrg => targetOrg.name).join(', ')}`,
     );
-    await newReportPage.click("input[name='save']");
-    await sleep(TIMEOUT_BETWEEN_ACTIONS);
   }
+  return configuredTargetOrgs.filter(targetOrg => selectedNames.includes(targetOrg.name));
 }
 
-async function grabSourceOrgReportLinks() {
-  const reportNameToURLMapSource = {};
-  for (const reportName of reportNames) {
-    console.log(`fine: getting report link for ${reportName}`);
-    let newReportPage = await browser.newPage();
-    await newReportPage.goto(
-      `${process.env.SOURCE_ORG_LOGIN_URL}/_ui/support/fieldservice/ui/ServiceReportTemplateLayouts`,
-    );
-    const reportLink = await newReportPage.evaluate(
-      name =>
-        document.querySelector(`a[title$="${name}"]`).getAttribute('href'),
-      reportName,
-    );
-    reportNameToURLMapSource[reportName] = reportLink;
+/**
+ * Maps the bundle to a target org and deploys it, or prints the deployment
+ * plan on a dry run
+ * @param {jsforce.Connection} connection
+ * @param {{name: String}} targetOrg
+ */
+async function deployToTargetOrg(connection, targetOrg) {
+  const targetOrgState = migrationState.targetOrgs[targetOrg.name];
+  const options = {
+    ...MIGRATOR_OPTIONS,
+    browser,
+    targetOrgName: targetOrg.name,
+    backupName: targetOrgState?.backupName ?? new Date().toISOString().replace(/[:.]/g, '-'),
+    deployedTemplates: Object.keys(targetOrgState?.deployed ?? {}),
+    onTemplateCreated: reportName => updateTargetOrgState(targetOrg, targetOrgState => {
+      targetOrgState.created[reportName] = new Date().toISOString();
+    }),
+    onTemplateResult: async result => {
+      recordTemplateResult(result);
+      if (result.operation === 'deploy' && result.status === 'success') {
+        await updateTargetOrgState(targetOrg, targetOrgState => {
+          targetOrgState.deployed[`${result.template}_${result.subtype}`] = new Date().toISOString();
+        });
+      }
+    },
+  };
+
+  let referenceToTargetId;
+  let missingReferences;
+  let droppedReferences;
+  // references that were missing are looked up again, they may have been added since
+  if (
+    targetOrgState?.mappedAt &&
+    !targetOrgState.missingReferences.length &&
+    !Object.keys(targetOrgState.droppedReferences).length
+  ) {
+    console.log('info: reusing the target org information matched by the interrupted run');
+    ({ referenceToTargetId, missingReferences, droppedReferences } = targetOrgState);
+  } else {
+    console.log('info: matching to target org information');
+    ({ referenceToTargetId, missingReferences, droppedReferences } = await mapFieldIds(connection, bundle.layouts, options));
+  }
+  Object.assign(currentTargetOrgDetails, { referenceToTargetId, missingReferences, droppedReferences });
+  if (missingReferences.length && !argv.dryRun) {
+    await logErrors(missingReferences.map(reference => `missing in target org: ${reference}`));
   }
-  return reportNameToURLMapSource;
-}
 
-async function grabSourceOrgReportJSON(reportNameToURLMapSource) {
-  for (let reportSubtype of Object.keys(SUPPORTED_SUBTYPES)) {
-    if (subtypesToMigrate.includes(reportSubtype)) {
-      await grabSourceReport(
-        reportSubtype,
-        SUPPORTED_SUBTYPES[reportSubtype],
-        reportNameToURLMapSource,
-      )
+  let lintErrorCount = 0;
+  if (argv.lint) {
+    console.log('info: linting templates');
+    const lintProblems = lintTemplates(bundle, { ...options, referenceToTargetId });
+    currentTargetOrgDetails.lintProblems = lintProblems;
+    printLintProblems(lintProblems);
+    lintErrorCount = lintProblems.filter(problem => problem.severity === 'error').length;
+    if (lintErrorCount && !argv.dryRun) {
+      throw new Error(`${lintErrorCount} lint error(s) in the templates, nothing was deployed`);
     }
   }
-}
-
-async function grabSourceReport(
-  subtypeName,
-  subtypeLabel,
-  reportNameToURLMapSource,
-) {
-  const requestsProcessed = []
-  console.log(`fine: getting reports for subtype '${subtypeLabel}'`);
-  for (const currentReportName in reportNameToURLMapSource) {
-    console.log(
-      `fine: getting report for '${currentReportName}' for subtype '${subtypeLabel}'`,
-    );
-    const reportVersionName = `${currentReportName}_${subtypeName}`;
-    const url = reportNameToURLMapSource[currentReportName];
 
-    let newReportPage = await browser.newPage();
-    openedPages.push(newReportPage);
+  let imageFileToTargetUrl = {};
+  if (options.migrateSourceImages && !argv.dryRun) {
+    console.log('info: uploading images to target org');
+    imageFileToTargetUrl = await uploadTemplateImages(connection, bundle, options);
+  }
 
-    await newReportPage.goto(`${process.env.SOURCE_ORG_LOGIN_URL}${url}`, {
-      waitUntil: 'networkidle0',
+  console.log('info: replacing information in target org')
+  const layouts = {};
+  for (const reportVersionName in bundle.layouts) {
+    const { jsonLayout, imagesRemoved } = transformTemplate(bundle.layouts[reportVersionName], {
+      ...options,
+      referenceToTargetId,
+      imageFileToTargetUrl,
     });
-    await goToTemplateSubtype(newReportPage, subtypeLabel);
-
-    await newReportPage.setRequestInterception(true);
-
-    newReportPage.on('request', request => {
-      const request_url = request.url();
-      const request_post_data = request.postData();
-
-      if (
-        request_url.includes(
-          '/servicereport/serviceReportTemplateEditor.apexp',
-        ) &&
-        request_post_data &&
-        request_post_data.includes('j_id0%3Af%3AjsonLayout') &&
-        !requestsProcessed.includes(reportVersionName)
-      ) {
-        const regex = JSON_LAYOUT_PARAM_REGEX;
-        const matched = regex.exec(request_post_data);
-        reportNameToJSON[reportVersionName] = matched[0];
-
-        if (LOG_POST_DATA) {
-          let dataToWrite = decodeURIComponent(
-            matched[0].replace('j_id0%3Af%3AjsonLayout=', ''),
-          );
-          const dataToWriteFormatted = JSON.stringify(
-            JSON.parse(dataToWrite),
-            null,
-            2,
-          );
-
-          writeFile(
-            `${reportVersionName}.source.json`,
-            dataToWriteFormatted,
-          ).catch(err => {
-            console.error(err);
-          });
-        }
-
-        requestsProcessed.push(reportVersionName);
-
-        request.continue();
-      } else {
-        request.continue();
-      }
+    layouts[reportVersionName] = jsonLayout;
+    currentTargetOrgDetails.imagesRemoved[reportVersionName] = imagesRemoved;
+  }
+  const targetBundle = { ...bundle, layouts };
+  await updateTargetOrgState(targetOrg, targetOrgState => {
+    const mappedAt = targetOrgState.mappedAt ?? new Date().toISOString();
+    Object.assign(targetOrgState, {
+      backupName: options.backupName,
+      mappedAt,
+      referenceToTargetId,
+      missingReferences,
+      droppedReferences,
     });
+    for (const reportVersionName in layouts) {
+      targetOrgState.mapped[reportVersionName] ??= mappedAt;
+    }
+  });
 
-    await clickQuickSave(newReportPage);
-    return requestsProcessed;
+  if (argv.dryRun) {
+    console.log('info: dry run, printing deployment plan');
+    printDeploymentPlan(await planDeployment(connection, targetBundle, options));
+    if (missingReferences.length) {
+      throw new Error(`${missingReferences.length} reference(s) missing in target org`);
+    }
+    if (lintErrorCount) {
+      throw new Error(`${lintErrorCount} lint error(s) in the templates`);
+    }
+    return;
   }
+
+  await deployTemplates(connection, targetBundle, options);
+  await updateTargetOrgState(targetOrg, targetOrgState => {
+    targetOrgState.completedAt = new Date().toISOString();
+  });
+}
+
+async function rollbackTargetOrg(connection, targetOrg, backupDirectory) {
+  backupDirectory ??= await findLatestBackup(BACKUP_DIRECTORY, targetOrg.name);
+  console.log(`info: reading backup from '${backupDirectory}'`);
+  const backup = await readTemplateBundle(backupDirectory);
+  await rollbackTemplates(connection, backup, { ...MIGRATOR_OPTIONS, browser, targetOrgName: targetOrg.name });
 }
 
-async function extractSourceOrgCustomObjectsAndFields() {
-  const fieldIds = new Set()
-  for (const currentReportName in reportNameToJSON) {
-    const jsonString = reportNameToJSON[currentReportName];
-    const array = [...jsonString.matchAll(CUSTOM_FIELD_ID_REGEX)];
-    const results = array.flatMap(x => x[0]);
+/**
+ * Reads the state of the interrupted run with --resume, or returns an empty
+ * state for a new run
+ * @returns {Promise<Object>}
+ */
+async function loadMigrationState() {
+  const emptyState = {
+    formatVersion: STATE_FORMAT_VERSION,
+    command,
+    startedAt: new Date().toISOString(),
+    retrieve: { layouts: {} },
+    targetOrgs: {},
+  };
+  if (!argv.resume) {
+    return emptyState;
+  }
+  if (!tracksState) {
+    throw new Error('--resume needs stateFilename to be set and can only be used with the retrieve, deploy and all commands, without --dry-run');
+  }
 
-    for (const fieldId of results) {
-      fieldIds.add(fieldId)
+  let state;
+  try {
+    state = JSON.parse(await readFile(STATE_FILENAME, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Could not read the migration state in '${STATE_FILENAME}': ${err.message}`);
     }
+    console.log(`warn: no migration state in '${STATE_FILENAME}', starting from scratch`);
+    return emptyState;
+  }
+  if (state.formatVersion !== STATE_FORMAT_VERSION) {
+    throw new Error(`Unsupported migration state format ${state.formatVersion} in '${STATE_FILENAME}', expected ${STATE_FORMAT_VERSION}`);
   }
+  if (state.command !== command) {
+    throw new Error(`The migration state in '${STATE_FILENAME}' is of a '${state.command}' run, resume it with that command`);
+  }
+  console.log(`info: resuming the run started at ${state.startedAt}`);
+  return state;
+}
 
-  const response = await sourceConnection.tooling.query(
-    `SELECT Id, DeveloperName, NamespacePrefix, TableEnumOrId FROM CustomField WHERE Id IN ('${[...fieldIds].join("', '")}')`,
-  );
-  response.records.forEach(record => {
-    if (response.records) {
-      api_name_list.push(record);
-
-      if (
-        record.TableEnumOrId.startsWith('01I') &&
-        !customObjectIdsToLookup.includes(record.TableEnumOrId)
-      ) {
-        console.log(`adding source TableEnumOrId: ${record.TableEnumOrId}`);
-        customObjectIdsToLookup.push(record.TableEnumOrId);
-      }
-    }
+/**
+ * Applies `update` to the migration state and writes it to `stateFilename`,
+ * writes are queued so the file is never written by two tasks at once
+ * @param {Function} update receives the state to change
+ * @returns {Promise}
+ */
+function updateMigrationState(update) {
+  if (!tracksState) {
+    return Promise.resolve();
+  }
+  update(migrationState);
+  migrationState.updatedAt = new Date().toISOString();
+  const state = JSON.stringify(migrationState, null, 2);
+  stateQueue = stateQueue.then(() => writeFile(STATE_FILENAME, state)).catch(err => {
+    console.error(`error: could not write the migration state: ${err.message}`);
   });
+  return stateQueue;
+}
 
-  console.log(`info: looking for customObjectIdsToLookup: ${customObjectIdsToLookup}`);
-  if (customObjectIdsToLookup.length) {
-    const responseCustomObject = await sourceConnection.tooling.query(
-      `SELECT Id, DeveloperName, NamespacePrefix FROM CustomObject WHERE Id IN ('${customObjectId.join("','")}')`
-    )
-    responseCustomObject.records.forEach((record) => {
-      console.log(`custom object: ${record.DeveloperName}`);
-      sourceObjectIdToNameMap[customObjectId] = record;
-    })
+function updateTargetOrgState(targetOrg, update) {
+  return updateMigrationState(state => {
+    update(state.targetOrgs[targetOrg.name] ??= { mapped: {}, created: {}, deployed: {} });
+  });
+}
+
+/**
+ * Removes the state file after a successful run, or tells how to resume the
+ * run when it failed
+ * @param {Number} exitCode exit code of the run
+ */
+async function finishMigrationState(exitCode) {
+  // the state is not loaded when the run stopped before reading it
+  if (!tracksState || !migrationState) {
+    return;
+  }
+  await stateQueue;
+  if (exitCode === 0) {
+    await rm(STATE_FILENAME, { force: true });
+  } else if (migrationState.updatedAt) {
+    console.log(`info: progress saved to '${STATE_FILENAME}', run '${command}' again with --resume to continue where this run stopped`);
   }
 }
 
-async function matchSourceToTargetOrgCustomObjectAndFieldIds() {
-  let missingObjects = [];
-
-  for (const sourceObjectId in sourceObjectIdToNameMap) {
-    const customObject = sourceObjectIdToNameMap[sourceObjectId];
-
-    if (customObject && customObject.DeveloperName) {
-      const query = `SELECT Id, DeveloperName, NamespacePrefix FROM CustomObject WHERE DeveloperName = '${
-        customObject.DeveloperName
-      }' AND NamespacePrefix = '${
-        customObject.NamespacePrefix == null
-          ? ''
-          : customObject.NamespacePrefix
-      }'`
-      const response = await targetConnection.tooling.query(query);
-      if (response.records && res.records[0]) {
-        let record = res.records[0];
-        sourceObjectIdMap[customObject.Id] = record.Id;
-        sourceObjectIdToSObject[customObject.Id] = record;
-        console.log(
-          `adding object source id: ${customObject.Id}, target id: ${record.Id}`,
-        );
+/**
+ * Prints the problems found by `lintTemplates`, errors first
+ * @param {Object[]} problems
+ */
+function printLintProblems(problems) {
+  if (!problems.length) {
+    console.log('fine: no lint problems found');
+    return;
+  }
+  for (const severity of ['error', 'warning']) {
+    for (const problem of problems.filter(lintProblem => lintProblem.severity === severity)) {
+      const message = formatLintProblem(problem);
+      if (severity === 'error') {
+        console.error(`error: lint ${message}`);
       } else {
-        let errorMessage = `custom object missing in target org: ${
-          customObject.NamespacePrefix == null
-            ? ''
-            : customObject.NamespacePrefix + '__'
-        }${customObject.DeveloperName}__c`;
-        missingObjects.push(errorMessage);
+        console.log(`warn: lint ${message}`);
       }
     }
   }
+}
+
+function formatLintProblem({ template, subtype, location, message }) {
+  return `'${template}' / ${SUPPORTED_SUBTYPES[subtype]}${location ? ` > ${location}` : ''}: ${message}`;
+}
 
-  if (missingObjects.length) {
-    logErrors(missingObjects);
+function printTargetOrgSummary(targetOrgResults) {
+  console.log('info: target org summary');
+  for (const result of targetOrgResults) {
+    const status = result.success ? 'success' : `FAILED (${result.error})`;
+    console.log(`  - ${result.name}: ${status} in ${Math.round(result.duration / 1000)}s`);
   }
-  
-  const getFieldApiName = (field) => {
-    const ns = field.NamespacePrefix ? field.NamespacePrefix : '';
-    const table = field.TableEnumOrId.startsWith('01I') ? 
-      sourceObjectIdMap[field.TableEnumOrId] :
-      field.TableEnumOrId;
-    return `${table}.${ns}${field.DeveloperName}`;
+}
+
+/**
+ * Adds a report/subtype result of the API (see `onTemplateResult`) or of a
+ * diff to the run report
+ * @param {Object} result
+ */
+function recordTemplateResult(result) {
+  const { operation, template, sourceTemplate, ...details } = result;
+  runReport.templates.push({
+    operation,
+    targetOrg: operation === 'retrieve' ? null : currentTargetOrg?.name ?? null,
+    template,
+    ...(operation === 'deploy' && sourceTemplate && { sourceTemplate }),
+    ...details,
+  });
+}
+
+/**
+ * Adds a target org to the run report, with the ID mappings applied, the
+ * references missing in it and the images removed from its layouts
+ * @param {{name: String, success: Boolean, duration: Number, error: String}} targetOrgResult
+ */
+function recordTargetOrgResult({ name, success, duration, error }) {
+  const { referenceToTargetId, missingReferences, droppedReferences, lintProblems, imagesRemoved } = currentTargetOrgDetails;
+  runReport.targetOrgs.push({
+    name,
+    status: success ? 'success' : 'failed',
+    durationMs: duration,
+    ...(error && { error }),
+    idMappings: Object.entries(referenceToTargetId).map(([reference, targetId]) => ({
+      reference,
+      sourceId: bundle.references?.[reference] ?? null,
+      targetId,
+    })),
+    missingReferences,
+    droppedReferences,
+    lintProblems,
+    imagesRemoved: Object.fromEntries(Object.entries(imagesRemoved).filter(([, count]) => count)),
+  });
+}
+
+/**
+ * Writes the run report to `runReportFilename` (JSON) and
+ * `junitReportFilename` (JUnit XML), if set
+ * @param {Number} exitCode exit code of the run
+ */
+async function writeRunReports(exitCode) {
+  const finishedAt = new Date();
+  Object.assign(runReport, {
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - Date.parse(runReport.startedAt),
+    status: exitCode === 0 ? 'success' : exitCode === EXIT_CODE_FAILED ? 'failed' : 'error',
+    exitCode,
+  });
+
+  try {
+    if (RUN_REPORT_FILENAME) {
+      await writeFile(RUN_REPORT_FILENAME, JSON.stringify(runReport, null, 2));
+      console.log(`info: run report written to '${RUN_REPORT_FILENAME}'`);
+    }
+    if (JUNIT_REPORT_FILENAME) {
+      await writeFile(JUNIT_REPORT_FILENAME, toJUnitXml(runReport));
+      console.log(`info: JUnit report written to '${JUNIT_REPORT_FILENAME}'`);
+    }
+  } catch (err) {
+    console.error(`error: could not write the run report: ${err.message}`);
+    process.exitCode = EXIT_CODE_ERROR;
   }
+}
 
-  const fieldFilters = api_name_list
-    .map(field => {
-      const ns = field.NamespacePrefix ? field.NamespacePrefix : '';
-      const dn = field.DeveloperName;
-      const table = field.TableEnumOrId.startsWith('01I') ? 
-        sourceObjectIdMap[field.TableEnumOrId] :
-        field.TableEnumOrId;
-      return `DeveloperName = '${dn}' AND TableEnumOrId = '${table}' AND NamespacePrefix = '${ns}'`
+/**
+ * Formats the run report as JUnit XML: one test suite per operation and
+ * target org with a test case per report/subtype, one test case per target
+ * org and a `run` test case when the run stopped on an error
+ * @param {Object} report
+ * @returns {String}
+ */
+function toJUnitXml(report) {
+  const testSuites = {};
+  const addTestCase = (suiteName, testCase) => (testSuites[suiteName] ??= []).push(testCase);
+
+  for (const template of report.templates) {
+    addTestCase(template.targetOrg ? `${template.operation} ${template.targetOrg}` : template.operation, {
+      name: `${template.template} / ${template.subtype}`,
+      durationMs: template.durationMs,
+      failure: template.status === 'failed' ? template.error : undefined,
+      details: template.differences?.join('\n'),
+      skipped: template.status === 'planned',
     });
-  const fieldsByApi = Object.fromEntries(
-    api_name_list.map(field => [getFieldApiName(field), field])
-  );
-
-  const query2 = `SELECT Id, DeveloperName, NamespacePrefix, TableEnumOrId FROM CustomField WHERE (${
-    fieldFilters.join(') OR (')
-  })`
-
-  const response2 = await targetConnection.tooling.query(query2);
-  
-  const missingFields = response2.records
-    .filter(field => fieldsByApi[getFieldApiName(field)])
-    .keys();
-    
-  const sourceFieldIdMap = Object.fromEntries(response2.records
-    .filter(field => fieldsByApi[getFieldApiName(field)])  
-    .map(targetField => 
-      [fieldsByApi[getFieldApiName(targetField)].Id.substring(0, 15), targetField.Id.substring(0, 15)]
-    ))
-
-  if (missingFields.length) {
-    logErrors(`Missing fields in target org ${missingFields}`);
-  }
-  
-  return sourceFieldIdMap;
-}
-
-async function replaceCustomFieldIds(sourceFieldIdMap) {
-  for (const currentReportName in reportNameToJSON) {
-    let jsonString = reportNameToJSON[currentReportName];
-    const array = [...jsonString.matchAll(CUSTOM_FIELD_ID_REGEX)];
-    const results = array.flatMap(x => x[0]);
-    console.log(
-      `fine: custom field Ids found in source org for ${currentReportName}:`,
-    );
+  }
+  for (const targetOrg of report.targetOrgs) {
+    addTestCase('target orgs', {
+      name: targetOrg.name,
+      durationMs: targetOrg.durationMs,
+      failure: targetOrg.error,
+      details: [
+        ...targetOrg.missingReferences.map(reference => `missing in target org: ${reference}`),
+        ...Object.entries(targetOrg.droppedReferences).map(([reference, ifMissing]) =>
+          `missing in target org, ${ifMissing === 'remove' ? 'removed' : 'replaced with a placeholder'}: ${reference}`),
+        ...targetOrg.lintProblems.map(problem => `lint ${problem.severity}: ${formatLintProblem(problem)}`),
+      ].join('\n'),
+    });
+  }
+  if (report.status === 'error') {
+    addTestCase('run', {
+      name: report.command,
+      durationMs: report.durationMs,
+      failure: report.errors.at(-1)?.message ?? 'run stopped on an error',
+      details: report.errors.map(error => error.message).join('\n'),
+    });
+  }
 
-    for (const fieldId of results) {
-      if (sourceFieldIdMap[fieldId]) {
-        const targetOrgFieldId = sourceFieldIdMap[fieldId];
-        console.log(
-          `fine: target org Id of source custom field ${fieldId}: ${targetOrgFieldId}`,
+  const allTestCases = Object.values(testSuites).flat();
+  const countFailures = testCases => testCases.filter(testCase => testCase.failure).length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`report_template_migrator ${report.command}`)}" tests="${allTestCases.length}" failures="${countFailures(allTestCases)}" time="${toSeconds(report.durationMs)}">`,
+  ];
+  for (const [suiteName, testCases] of Object.entries(testSuites)) {
+    const skippedCount = testCases.filter(testCase => testCase.skipped).length;
+    const suiteDuration = testCases.reduce((total, testCase) => total + testCase.durationMs, 0);
+    lines.push(`  <testsuite name="${escapeXml(suiteName)}" tests="${testCases.length}" failures="${countFailures(testCases)}" skipped="${skippedCount}" time="${toSeconds(suiteDuration)}">`);
+    for (const testCase of testCases) {
+      const attributes = `classname="${escapeXml(suiteName)}" name="${escapeXml(testCase.name)}" time="${toSeconds(testCase.durationMs)}"`;
+      if (testCase.failure) {
+        lines.push(
+          `    <testcase ${attributes}>`,
+          `      <failure message="${escapeXml(testCase.failure)}">${escapeXml(testCase.details || testCase.failure)}</failure>`,
+          '    </testcase>',
         );
-        jsonString = jsonString.replaceAll(fieldId, targetOrgFieldId);
+      } else if (testCase.skipped) {
+        lines.push(`    <testcase ${attributes}>`, '      <skipped message="dry run"/>', '    </testcase>');
+      } else {
+        lines.push(`    <testcase ${attributes}/>`);
       }
     }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>', '');
+  return lines.join('\n');
+}
 
-    if (REPLACE_SOURCE_IMAGES) {
-      jsonString = jsonString.replaceAll(IMG_TAG_REGEX_1, '');
-      jsonString = jsonString.replaceAll(IMG_TAG_REGEX_2, '');
-      jsonString = jsonString.replaceAll(EMPTY_IMG_TAG_1, IMAGE_REPLACEMENT_TEXT);
-      jsonString = jsonString.replaceAll(EMPTY_IMG_TAG_2, IMAGE_REPLACEMENT_TEXT);
-    }
+function toSeconds(milliseconds) {
+  return ((milliseconds ?? 0) / 1000).toFixed(3);
+}
 
-    reportNameToJSONReplaced[currentReportName] = jsonString;
-  }
+function escapeXml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
 }
 
-async function grabTargetOrgReportLinks() {
-  const reportNameToURLMapTarget = {};
-  for (const reportName of reportNames) {
-    let newReportPage = await incognitoContext.newPage();
-    await newReportPage.goto(
-      `${process.env.TARGET_ORG_LOGIN_URL}/_ui/support/fieldservice/ui/ServiceReportTemplateLayouts`,
-    );
-    const reportLink = await newReportPage.evaluate(
-      name =>
-        document.querySelector(`a[title$="${name}"]`).getAttribute('href'),
-      reportName,
+async function logErrors(messagesArray) {
+  console.error('The following errors happened:');
+  console.error(messagesArray);
+  runReport.errors.push(...messagesArray.map(message => ({ time: new Date().toISOString(), message })));
+  let formattedErrors = messagesArray.map(
+    message => `${new Date().toLocaleString()} ${message}`,
+  );
+  await logAndExit(`${formattedErrors.join('\r\n')}\r\n`);
+}
+
+/**
+ * Prints what a deploy would do in the target org: the templates that would
+ * be created, the report/subtype layouts that would be overwritten, the
+ * template metadata synced, the templates pruned, the ID mappings, anything
+ * missing in the target org and the images removed
+ * @param {Object} plan as returned by `planDeployment`
+ */
+function printDeploymentPlan(plan) {
+  const { referenceToTargetId, missingReferences, droppedReferences, imagesRemoved } = currentTargetOrgDetails;
+  const printList = (title, items) => {
+    console.log(`plan: ${title} (${items.length})`);
+    items.forEach(item => console.log(`  - ${item}`));
+  };
+
+  printList(
+    'templates deployed under another name',
+    plan.renamedTemplates.map(({ sourceName, targetName }) => `${sourceName} => ${targetName}`),
+  );
+  printList('templates that would be created in target org', plan.templatesToCreate);
+  printList(
+    'template metadata that would be synced',
+    plan.templateMetadataChanges.map(({ reportName, changes }) => `${reportName}: ${changes.join(', ')}`),
+  );
+  if (argv.prune) {
+    printList(
+      `templates that would be ${argv.prune === 'delete' ? 'deleted' : 'deactivated'} by --prune`,
+      plan.templatesToPrune.map(({ reportName }) => reportName),
     );
-    reportNameToURLMapTarget[reportName] = reportLink;
   }
-  return reportNameToURLMapTarget;
+  printList(
+    'report/subtype layouts that would be overwritten',
+    plan.layoutsToOverwrite.map(({ reportName, subtype }) => `${reportName} / ${SUPPORTED_SUBTYPES[subtype]}`),
+  );
+  printList(
+    'report/subtype layouts that would be deployed to new templates',
+    plan.layoutsToCreate.map(({ reportName, subtype }) => `${reportName} / ${SUPPORTED_SUBTYPES[subtype]}`),
+  );
+  printList(
+    'Id mappings (source => target)',
+    Object.entries(referenceToTargetId).map(([reference, targetId]) =>
+      `${reference}: ${bundle.references?.[reference] ?? '(from bundle)'} => ${targetId}`,
+    ),
+  );
+  printList('references missing in target org', missingReferences);
+  printList(
+    'fields missing in target org that would be removed or replaced with a placeholder',
+    Object.entries(droppedReferences).map(([reference, ifMissing]) => `${reference}: ${ifMissing}`),
+  );
+  printList(
+    'images that would be uploaded to target org',
+    Object.entries(plan.imagesToUpload).map(([reportVersionName, count]) => `${reportVersionName}: ${count}`),
+  );
+  printList(
+    'images that would be removed',
+    Object.entries(imagesRemoved)
+      .filter(([, count]) => count)
+      .map(([reportVersionName, count]) => `${reportVersionName}: ${count}`),
+  );
 }
 
-async function deployReportTemplatesToTargetOrg(reportNameToURLMapTarget) {
-  let requestsProcessed = [];
+/**
+ * Writes the HTML preview of a report/subtype of the bundle or of a layout
+ * file to `previewDirectory`, and prints it to PDF
+ * @param {{template: String, subtype: String, file: String, pdf: Boolean}} args
+ */
+async function previewReportTemplate({ template, subtype, file, pdf }) {
+  const startTime = Date.now();
+  if (subtype && !SUPPORTED_SUBTYPES[subtype]) {
+    throw new Error(`Unknown subtype '${subtype}', expected one of ${Object.keys(SUPPORTED_SUBTYPES).join(', ')}`);
+  }
 
-  for (let reportSubtype of Object.keys(SUPPORTED_SUBTYPES)) {
-    if (subtypesToMigrate.includes(reportSubtype)) {
-      requestsProcessed = [
-        ...requestsProcessed,
-        ...await deployReportTemplate(
-          reportSubtype,
-          SUPPORTED_SUBTYPES[reportSubtype],
-          reportNameToURLMapTarget,
-        )
-      ]
+  let name;
+  let layout;
+  let images = [];
+  if (file) {
+    console.log(`info: reading layout from '${file}'`);
+    name = basename(file).replace(/\.json$/, '');
+    layout = JSON.parse(await readFile(file, 'utf8'));
+  } else {
+    console.log(`info: reading template bundle from '${BUNDLE_DIRECTORY}'`);
+    const previewBundle = await readTemplateBundle(BUNDLE_DIRECTORY);
+    name = `${template}_${subtype}`;
+    if (!previewBundle.layouts[name]) {
+      throw new Error(`'${template}' / ${SUPPORTED_SUBTYPES[subtype]} is not in the bundle '${BUNDLE_DIRECTORY}'`);
     }
+    layout = decodeJsonLayout(previewBundle.layouts[name]);
+    images = previewBundle.images;
   }
+
+  const html = await renderTemplatePreview(layout, { ...MIGRATOR_OPTIONS, title: template ?? name, subtype, images });
+  await mkdir(PREVIEW_DIRECTORY, { recursive: true });
+  const htmlFile = join(PREVIEW_DIRECTORY, `${name}.html`);
+  await writeFile(htmlFile, html);
+  console.log(`info: HTML preview written to '${htmlFile}'`);
+  if (pdf) {
+    const pdfFile = join(PREVIEW_DIRECTORY, `${name}.pdf`);
+    await printTemplatePreview(html, pdfFile, MIGRATOR_OPTIONS);
+    console.log(`info: PDF preview written to '${pdfFile}'`);
+  }
+  recordTemplateResult({
+    operation: 'preview',
+    template: template ?? name,
+    subtype: subtype ?? null,
+    status: 'success',
+    durationMs: Date.now() - startTime,
+  });
 }
 
-async function deployReportTemplate(
-  subtypeName,
-  subtypeLabel,
-  reportNameToURLMapTarget,
-) {
-  const requestsProcessed = [];
-  console.log(`fine: deploying reports for subtype '${subtypeLabel}'`);
-  for (const currentReportName in reportNameToURLMapTarget) {
-    console.log(
-      `fine: deploying '${currentReportName}' report for subtype '${subtypeLabel}'`,
-    );
-    const reportVersionName = `${currentReportName}_${subtypeName}`;
-    const url = reportNameToURLMapTarget[currentReportName];
+/**
+ * Shows the source org templates, with the state of their templates in the
+ * first target org, and the subtypes as checklists, and saves the picked ones
+ * to the config file when asked to
+ * @param {jsforce.Connection} sourceConnection
+ * @returns {Promise<{templateIds: Object, subtypes: String[]}>} DeveloperName
+ * => ServiceReportLayout Id of the picked templates, and the picked subtypes
+ */
+async function pickTemplates(sourceConnection) {
+  const [targetOrg] = targetOrgs;
+  console.log(`info: login to target environment '${targetOrg.name}'`);
+  const connection = await loginEnvironment(targetOrg.envPrefix, targetOrg.auth);
+  const templates = await listTemplates(sourceConnection, connection, {
+    selection: TEMPLATE_SELECTION,
+    templateMapping: MIGRATOR_OPTIONS.templateMapping,
+  });
+  if (!templates.length) {
+    throw new Error('The source org has no report templates');
+  }
 
-    let newReportPage = await incognitoContext.newPage();
+  const readline = createInterface({ input: process.stdin, output: process.stdout });
+  // lines are buffered by the iterator, so answers piped in ahead are not lost
+  const lines = readline[Symbol.asyncIterator]();
+  const ask = async question => {
+    readline.setPrompt(question);
+    readline.prompt();
+    const { value, done } = await lines.next();
+    if (done) {
+      throw new Error('The input was closed before the --interactive selection was done');
+    }
+    return value.trim();
+  };
 
-    openedPages.push(newReportPage);
+  try {
+    const templateItems = templates.map(template => ({ ...template, checked: template.selected }));
+    await pickFromChecklist(ask, `Templates of the source org, and in target org '${targetOrg.name}'`, templateItems, formatTemplateItem);
+    const configuredSubtypes = MIGRATOR_OPTIONS.subtypes ?? Object.keys(SUPPORTED_SUBTYPES);
+    const subtypeItems = Object.entries(SUPPORTED_SUBTYPES)
+      .map(([subtype, label]) => ({ subtype, label, checked: configuredSubtypes.includes(subtype) }));
+    await pickFromChecklist(ask, 'Subtypes', subtypeItems, ({ subtype, label }) => `${subtype} (${label})`);
+
+    const pickedTemplates = templateItems.filter(item => item.checked);
+    const subtypes = subtypeItems.filter(item => item.checked).map(item => item.subtype);
+    if (/^y(es)?$/i.test(await ask(`Save the selection to '${CONFIG_FILENAME}'? [y/N] `))) {
+      await saveTemplateSelection(CONFIG_FILENAME, CONFIG_PROFILE, {
+        names: pickedTemplates.map(template => template.developerName),
+        subtypes,
+      });
+      console.log(`info: selection saved to '${CONFIG_FILENAME}'${CONFIG_PROFILE ? ` (profile '${CONFIG_PROFILE}')` : ''}`);
+    }
+    return {
+      templateIds: Object.fromEntries(pickedTemplates.map(template => [template.developerName, template.id])),
+      subtypes,
+    };
+  } finally {
+    readline.close();
+  }
+}
 
-    await newReportPage.goto(`${process.env.TARGET_ORG_LOGIN_URL}${url}`, {
-      waitUntil: 'networkidle0',
+/**
+ * Prints a numbered checklist and toggles the items picked by the answers
+ * until an empty answer, with at least one item checked
+ * @param {Function} ask prints a question and returns the answer
+ * @param {String} title
+ * @param {{checked: Boolean}[]} items toggled in place
+ * @param {Function} formatItem returns the text of an item
+ */
+async function pickFromChecklist(ask, title, items, formatItem) {
+  while (true) {
+    console.log(`\n${title}:`);
+    items.forEach((item, index) => {
+      console.log(`${String(index + 1).padStart(4)} [${item.checked ? 'x' : ' '}] ${formatItem(item)}`);
     });
-    await goToTemplateSubtype(newReportPage, subtypeLabel);
-
-    await newReportPage.setRequestInterception(true);
-
-    newReportPage.on('request', request => {
-      const request_url = request.url();
-      const request_post_data = request.postData();
-
-      if (
-        request_url.includes(
-          '/servicereport/serviceReportTemplateEditor.apexp',
-        ) &&
-        request_post_data?.includes('j_id0%3Af%3AjsonLayout')
-      ) {
-        const regex = JSON_LAYOUT_PARAM_REGEX;
-        const matchedString = regex.exec(request_post_data)[0];
-
-        if (reportNameToJSON[reportVersionName]) {
-          request.continue({
-            postData: request_post_data.replace(
-              matchedString,
-              reportNameToJSONReplaced[reportVersionName],
-            ),
-          });
-
-          if (LOG_POST_DATA && !requestsProcessed.includes(reportVersionName)) {
-            let dataToWrite = decodeURIComponent(
-              reportNameToJSONReplaced[reportVersionName].replace(
-                'j_id0%3Af%3AjsonLayout=',
-                '',
-              ),
-            );
-            const dataToWriteFormatted = JSON.stringify(
-              JSON.parse(dataToWrite),
-              null,
-              2,
-            );
-
-            writeFile(
-              `${reportVersionName}.target.json`,
-              dataToWriteFormatted,
-            ).catch(err => {
-              console.error(err);
-            });
-          }
-
-          requestsProcessed.push(reportVersionName);
-        } else {
-          request.continue();
-        }
-      } else {
-        request.continue();
+    const answer = await ask('Toggle by number (e.g. "1 3-5"), "all" or "none", Enter when done: ');
+    if (!answer && items.some(item => item.checked)) {
+      return;
+    }
+    if (!answer) {
+      console.log('warn: check at least one item');
+    } else if (answer === 'all' || answer === 'none') {
+      items.forEach(item => { item.checked = answer === 'all'; });
+    } else {
+      const indexes = parseChecklistAnswer(answer, items.length);
+      if (!indexes) {
+        console.log(`warn: '${answer}' is not a list of numbers or ranges between 1 and ${items.length}`);
       }
-    });
-
-    await clickQuickSave(newReportPage);
-    return requestsProcessed;
+      indexes?.forEach(index => { items[index].checked = !items[index].checked; });
+    }
   }
 }
 
-async function clickQuickSave(reportPage) {
-  const [button] = await reportPage.$x("//button[contains(., 'Quick Save')]");
-  if (button) {
-    await button.click();
-    await reportPage.waitForTimeout(TIMEOUT_BETWEEN_ACTIONS);
+/**
+ * @param {String} answer numbers and ranges (`3-5`) separated by spaces or commas
+ * @param {Number} count number of items of the checklist
+ * @returns {Number[]|null} the 0 based indexes, null if the answer is invalid
+ */
+function parseChecklistAnswer(answer, count) {
+  const indexes = [];
+  for (const part of answer.split(/[\s,]+/).filter(Boolean)) {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+    const from = Number(match?.[1]);
+    const to = Number(match?.[2] ?? match?.[1]);
+    if (!match || from < 1 || from > to || to > count) {
+      return null;
+    }
+    for (let number = from; number <= to; number++) {
+      indexes.push(number - 1);
+    }
   }
+  return indexes;
+}
 
-  await sleep(TIMEOUT_BETWEEN_ACTIONS);
+/**
+ * @param {Object} template as returned by `listTemplates`
+ * @returns {String} e.g. `Name 'Label' modified 2022-06-28 10:00, target: exists, modified 2022-06-01 09:30`
+ */
+function formatTemplateItem({ developerName, masterLabel, isActive, lastModifiedDate, targets }) {
+  const formatDate = date => date ? date.slice(0, 16).replace('T', ' ') : 'unknown';
+  const targetStates = targets.map(target => [
+    target.developerName === developerName ? '' : `${target.developerName} `,
+    target.lastModifiedDate ? `exists, modified ${formatDate(target.lastModifiedDate)}` : 'missing',
+  ].join(''));
+  return `${developerName} '${masterLabel}'${isActive === false ? ' (inactive)' : ''} ` +
+    `modified ${formatDate(lastModifiedDate)}, target: ${targetStates.join('; ')}`;
 }
 
-async function goToTemplateSubtype(reportPage, subtypeLabel) {
-  await reportPage.waitForTimeout(TIMEOUT_BETWEEN_ACTIONS);
-  let optionValue = await reportPage.$$eval(
-    'select[name$="childLayoutPicklist:templateList"] option',
-    (options, subtypeLabel) =>
-      options.find(o => o.innerText === subtypeLabel)?.value,
-    subtypeLabel,
-  );
-  await reportPage.select(
-    'select[name$="childLayoutPicklist:templateList"]',
-    optionValue,
-  );
-  await reportPage.waitForTimeout(TIMEOUT_BETWEEN_ACTIONS);
+/**
+ * Returns which org the field IDs of a diff side belong to
+ * @param {String} side `source`, `target` or a saved layout file
+ * @returns {'source'|'target'|null}
+ */
+function getDiffSideOrg(side) {
+  if (side === 'source' || side.endsWith('.source.json')) {
+    return 'source';
+  }
+  if (side === 'target' || side.endsWith('.target.json')) {
+    return 'target';
+  }
+  return null;
+}
+
+/**
+ * Prints a structured diff of a report template subtype between two sides,
+ * each being the source org, the target org or a saved layout file
+ * @param {String} reportName
+ * @param {String} subtype key of SUPPORTED_SUBTYPES
+ * @param {String} left
+ * @param {String} right
+ */
+async function diffReportTemplates(reportName, subtype, left, right) {
+  if (!SUPPORTED_SUBTYPES[subtype]) {
+    throw new Error(`Unknown subtype '${subtype}', expected one of ${Object.keys(SUPPORTED_SUBTYPES).join(', ')}`);
+  }
+
+  const startTime = Date.now();
+  const layouts = [];
+  for (const side of [left, right]) {
+    console.log(`info: loading '${reportName}' / ${SUPPORTED_SUBTYPES[subtype]} from ${side}`);
+    const org = getDiffSideOrg(side);
+    const connection = org === 'source' ? sourceConnection : org === 'target' ? targetConnection : null;
+    const layout = side === 'source' || side === 'target'
+      ? await captureTemplateLayout(connection, reportName, subtype, { ...MIGRATOR_OPTIONS, browser })
+      : JSON.parse(await readFile(side, 'utf8'));
+    layouts.push(await resolveLayoutReferences(layout, connection, MIGRATOR_OPTIONS));
+  }
+
+  const changes = diffLayouts(layouts[0], layouts[1]);
+  const duration = Date.now() - startTime;
+
+  console.log(`diff: '${reportName}' / ${SUPPORTED_SUBTYPES[subtype]}: ${left} => ${right}`);
+  if (!changes.length) {
+    console.log('diff: no differences');
+    recordTemplateResult({ operation: 'diff', template: reportName, subtype, status: 'success', durationMs: duration });
+    return;
+  }
+
+  for (const change of changes) {
+    console.log(`  ${formatLayoutChange(change)}`);
+  }
+  console.log(`diff: ${changes.length} difference(s)`);
+  recordTemplateResult({
+    operation: 'diff',
+    template: reportName,
+    subtype,
+    status: 'failed',
+    durationMs: duration,
+    error: `${changes.length} difference(s) between ${left} and ${right}`,
+    differences: changes.map(formatLayoutChange),
+  });
+  process.exitCode = EXIT_CODE_FAILED;
 }
@@ -0,0 +1,449 @@
+/*
+ * description: Tests the migrator.js API functions that do not need a
+ * browser against a mock org served by mock_salesforce_server.js
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import jsforce from 'jsforce';
+import { startMockOrg } from './mock_salesforce_server.js';
+import {
+  selectTemplates,
+  listTemplates,
+  mapFieldIds,
+  lintTemplates,
+  transformTemplate,
+  planDeployment,
+  deployTemplates,
+  writeTemplateBundle,
+  readTemplateBundle,
+  encodeJsonLayout,
+  decodeJsonLayout,
+  renderTemplatePreview,
+} from '../migrator.js';
+
+const BUNDLE_LAYOUT = {
+  sections: [{
+    title: 'Details',
+    recordTypeId: '{{recordType:WorkOrder.Repair}}',
+    text: '<img src="/logo.png"/>',
+    fields: [
+      { fieldId: '{{field:WorkOrder.Customer_Notes__c}}', label: 'Notes' },
+      { fieldId: '{{field:WorkOrder.Priority_Score__c}}', label: 'Priority & Score' },
+    ],
+  }],
+};
+
+function toBundle(layout) {
+  return {
+    sourceOrg: 'https://source.example.com',
+    reportNames: ['Field_Service_Report'],
+    subtypes: ['SA_WO'],
+    layouts: { Field_Service_Report_SA_WO: encodeJsonLayout(layout) },
+    references: {},
+    images: [],
+  };
+}
+
+describe('migrator API', () => {
+  let target;
+  let connection;
+
+  before(async () => {
+    target = await startMockOrg({
+      organizationId: '00D7x000000TGT1AAA',
+      records: {
+        ServiceReportLayout: [
+          { Id: '0SL7x000000TPL1AAA', DeveloperName: 'Field_Service_Report', MasterLabel: 'Field Service Report' },
+        ],
+        CustomField: [
+          { Id: '00N7x000000FLD7AAA', DeveloperName: 'Customer_Notes', NamespacePrefix: null, TableEnumOrId: 'WorkOrder' },
+        ],
+        RecordType: [
+          { Id: '0127x000000RTY9AAA', DeveloperName: 'Repair', NamespacePrefix: null, SobjectType: 'WorkOrder' },
+        ],
+      },
+    });
+    connection = new jsforce.Connection({
+      instanceUrl: target.url,
+      accessToken: target.accessToken,
+      version: '55.0',
+    });
+  });
+
+  after(async () => {
+    await target.close();
+  });
+
+  test('mapFieldIds resolves references and lists the missing ones', async () => {
+    const { referenceToTargetId, missingReferences } = await mapFieldIds(connection, toBundle(BUNDLE_LAYOUT).layouts);
+
+    assert.deepEqual(referenceToTargetId, {
+      'recordType:WorkOrder.Repair': '0127x000000RTY9',
+      'field:WorkOrder.Customer_Notes__c': '00N7x000000FLD7',
+    });
+    assert.deepEqual(missingReferences, ['field:WorkOrder.Priority_Score__c']);
+  });
+
+  test('mapFieldIds applies the field rules', async () => {
+    const { referenceToTargetId, missingReferences, droppedReferences } = await mapFieldIds(
+      connection,
+      toBundle(BUNDLE_LAYOUT).layouts,
+      {
+        fieldRules: {
+          'WorkOrder.Priority_Score__c': { target: 'WorkOrder.Customer_Notes__c' },
+          'WorkOrder.Customer_Notes__c': { target: 'WorkOrder.Notes__c', ifMissing: 'remove' },
+        },
+      },
+    );
+
+    assert.equal(referenceToTargetId['field:WorkOrder.Priority_Score__c'], '00N7x000000FLD7');
+    assert.deepEqual(missingReferences, []);
+    assert.deepEqual(droppedReferences, { 'field:WorkOrder.Customer_Notes__c': 'remove' });
+  });
+
+  test('mapFieldIds rejects invalid field rules', async () => {
+    await assert.rejects(
+      mapFieldIds(connection, toBundle(BUNDLE_LAYOUT).layouts, {
+        fieldRules: { 'WorkOrder.Priority_Score__c': { ifMissing: 'skip' } },
+      }),
+      /Invalid field rule for 'WorkOrder\.Priority_Score__c': ifMissing 'skip'/,
+    );
+  });
+
+  test('transformTemplate replaces references and removes images', () => {
+    const { jsonLayout, imagesRemoved } = transformTemplate(toBundle(BUNDLE_LAYOUT).layouts.Field_Service_Report_SA_WO, {
+      referenceToTargetId: {
+        'recordType:WorkOrder.Repair': '0127x000000RTY9',
+        'field:WorkOrder.Customer_Notes__c': '00N7x000000FLD7',
+      },
+      removeSourceImages: true,
+      imageReplacementText: 'IMAGE REMOVED',
+    });
+    const [section] = decodeJsonLayout(jsonLayout).sections;
+
+    assert.equal(imagesRemoved, 1);
+    assert.equal(section.recordTypeId, '0127x000000RTY9');
+    assert.equal(section.text, 'IMAGE REMOVED');
+    assert.deepEqual(section.fields.map(field => field.fieldId), [
+      '00N7x000000FLD7',
+      '{{field:WorkOrder.Priority_Score__c}}',
+    ]);
+    assert.equal(section.fields[1].label, 'Priority & Score');
+  });
+
+  test('transformTemplate removes or replaces the fields missing in the target org', () => {
+    const { jsonLayout } = transformTemplate(toBundle({
+      sections: [{
+        title: 'Details',
+        text: 'Priority: {{field:WorkOrder.Priority_Score__c}}',
+        fields: [
+          { fieldId: '{{field:WorkOrder.Customer_Notes__c}}', label: 'Notes' },
+          { fieldId: '{{field:WorkOrder.Priority_Score__c}}', label: 'Priority' },
+          { fieldId: '{{field:WorkOrder.Legacy_Code__c}}', label: 'Code' },
+        ],
+      }],
+    }).layouts.Field_Service_Report_SA_WO, {
+      referenceToTargetId: { 'field:WorkOrder.Customer_Notes__c': '00N7x000000FLD7' },
+      fieldRules: { 'WorkOrder.Legacy_Code__c': { ifMissing: 'remove' } },
+      missingFieldPolicy: 'placeholder',
+      missingFieldPlaceholder: 'N/A',
+    });
+
+    assert.deepEqual(decodeJsonLayout(jsonLayout).sections[0], {
+      title: 'Details',
+      text: 'Priority: N/A',
+      fields: [
+        { fieldId: '00N7x000000FLD7', label: 'Notes' },
+        { label: 'Priority', text: 'N/A' },
+      ],
+    });
+  });
+
+  test('lintTemplates reports the problems of a layout with their location', () => {
+    const bundle = toBundle({
+      sections: [
+        {
+          title: 'Details',
+          text: '<img src="/sfc/servlet.shepherd/version/download/0685e000000IMG1"/>',
+          fields: [
+            { fieldId: '{{field:WorkOrder.Customer_Notes__c}}', label: 'Notes' },
+            { fieldId: '{{field:WorkOrder.Priority_Score__c}}', label: 'Priority' },
+            { fieldId: '{{field:ServiceAppointment.Arrival__c}}', label: 'Arrival' },
+            { fieldId: '00N5e000000FLD4', label: 'Unknown' },
+          ],
+        },
+        { title: 'Signature', fields: [] },
+      ],
+    });
+    bundle.subtypes = ['WO'];
+    bundle.layouts = { Field_Service_Report_WO: bundle.layouts.Field_Service_Report_SA_WO };
+
+    const problems = lintTemplates(bundle, {
+      subtypes: ['WO'],
+      referenceToTargetId: {
+        'field:WorkOrder.Customer_Notes__c': '00N7x000000FLD7',
+        'field:ServiceAppointment.Arrival__c': '00N7x000000FLD6',
+      },
+    });
+    const describe = ({ severity, location, message }) => `${severity} ${location}: ${message}`;
+
+    assert.deepEqual(problems.map(describe), [
+      'error section "Details" > text: uploaded image /sfc/servlet.shepherd/version/download/0685e000000IMG1 makes the Quick Save fail with an internal server error, set removeSourceImages or migrateSourceImages',
+      'error section "Details" > field WorkOrder.Priority_Score__c > fieldId: {{field:WorkOrder.Priority_Score__c}} is not mapped to the target org',
+      'error section "Details" > field ServiceAppointment.Arrival__c > fieldId: field ServiceAppointment.Arrival__c is not on an object of the Work Order subtype (WorkOrder)',
+      'error section "Details" > field "00N5e000000FLD4" > fieldId: field Id 00N5e000000FLD4 was not found in the source org and is not mapped to the target org',
+      'warning section "Signature": empty section',
+    ]);
+    assert.ok(problems.every(problem => problem.template === 'Field_Service_Report' && problem.subtype === 'WO'));
+  });
+
+  test('lintTemplates warns about the fields that are removed or replaced', () => {
+    const problems = lintTemplates(toBundle(BUNDLE_LAYOUT), {
+      subtypes: ['SA_WO'],
+      referenceToTargetId: {
+        'recordType:WorkOrder.Repair': '0127x000000RTY9',
+        'field:WorkOrder.Customer_Notes__c': '00N7x000000FLD7',
+      },
+      fieldRules: { 'WorkOrder.Priority_Score__c': { ifMissing: 'remove' } },
+      removeSourceImages: true,
+    });
+
+    assert.deepEqual(problems.map(({ severity, message }) => `${severity}: ${message}`), [
+      'warning: {{field:WorkOrder.Priority_Score__c}} is not mapped to the target org, removed from the layout',
+    ]);
+  });
+
+  test('lintTemplates only reports whole IDs, not the ones inside of longer strings', () => {
+    const problems = lintTemplates(toBundle({
+      sections: [{
+        title: 'Details',
+        text: '<img src="data:image/png;base64,iVBORw0KGgo00D5e000000SRC1AAAQ"/><a href="/home?oid=00D5e000000SRC1">Home</a>',
+        fields: [{ fieldId: '{{field:WorkOrder.Customer_Notes__c}}', label: 'Notes' }],
+      }],
+    }), {
+      subtypes: ['SA_WO'],
+      referenceToTargetId: { 'field:WorkOrder.Customer_Notes__c': '00N7x000000FLD7' },
+    });
+
+    assert.deepEqual(problems.map(({ severity, message }) => `${severity}: ${message}`), [
+      'error: organization Id 00D5e000000SRC1 was not found in the source org and is not mapped to the target org',
+    ]);
+  });
+
+  test('lintTemplates reports malformed layouts', () => {
+    const bundle = toBundle(BUNDLE_LAYOUT);
+    bundle.layouts.Field_Service_Report_SA_WO = 'j_id0%3Af%3AjsonLayout=%7B%22sections%22%3A';
+
+    const [problem] = lintTemplates(bundle, { subtypes: ['SA_WO'] });
+    assert.equal(problem.severity, 'error');
+    assert.match(problem.message, /^malformed jsonLayout: /);
+  });
+
+  test('planDeployment lists the templates that would be created', async () => {
+    const plan = await planDeployment(connection, toBundle(BUNDLE_LAYOUT), {
+      subtypes: ['SA_WO'],
+      templateMapping: { Field_Service_Report: ['Field_Service_Report', 'Field_Service_Report_EU'] },
+    });
+
+    assert.deepEqual(plan.templatesToCreate, ['Field_Service_Report_EU']);
+    assert.deepEqual(plan.layoutsToOverwrite, [{ reportName: 'Field_Service_Report', subtype: 'SA_WO' }]);
+    assert.deepEqual(plan.layoutsToCreate, [{ reportName: 'Field_Service_Report_EU', subtype: 'SA_WO' }]);
+  });
+
+  test('renderTemplatePreview renders the sections, fields, text and images of a layout', async () => {
+    const html = await renderTemplatePreview({
+      sections: [{
+        title: 'Details',
+        text: 'Notes: {{field:WorkOrder.Customer_Notes__c}} <img src="{{image:logo.png}}"/> <img src="/sfc/logo.png"/>',
+        fields: [
+          { fieldId: '{{field:WorkOrder.Customer_Notes__c}}', label: 'Notes <internal>' },
+          { fieldId: '{{field:WorkOrder.Priority_Score__c}}' },
+        ],
+      }],
+    }, {
+      title: 'Field Service Report',
+      subtype: 'WO',
+      images: [{ file: 'logo.png', contentType: 'image/png', body: Buffer.from('png') }],
+    });
+
+    assert.match(html, /<h1>Field Service Report<\/h1><p>Work Order - /);
+    assert.match(html, /<section>\n<h2>Details<\/h2>/);
+    assert.match(html, /Notes: <span class="merge-field">\[WorkOrder\.Customer_Notes__c\]<\/span>/);
+    assert.match(html, /<img src="data:image\/png;base64,cG5n"\/>/);
+    assert.match(html, /<span class="image-placeholder">image \/sfc\/logo\.png<\/span>/);
+    assert.match(html, /<span class="label">Notes &lt;internal&gt;<\/span><span class="value">\[WorkOrder\.Customer_Notes__c\]<\/span>/);
+    assert.match(html, /<span class="label">Priority Score<\/span>/);
+  });
+
+  test('planDeployment lists the template metadata to sync and the templates to prune', async () => {
+    target.records.ServiceReportLayout.push(
+      { Id: '0SL7x000000TPL2AAA', DeveloperName: 'Old_Report', MasterLabel: 'Old Report', IsActive: true, IsDefault: false },
+      { Id: '0SL7x000000TPL3AAA', DeveloperName: 'Managed_Report', NamespacePrefix: 'ns', IsActive: true },
+    );
+    try {
+      const bundle = toBundle(BUNDLE_LAYOUT);
+      bundle.templateMetadata = {
+        Field_Service_Report: {
+          masterLabel: 'Field Service Report (EU)',
+          templateType: 'ServiceReport',
+          isActive: true,
+          isDefault: null,
+          subtypes: ['SA_WO'],
+        },
+      };
+      const plan = await planDeployment(connection, bundle, { subtypes: ['SA_WO'], prune: 'deactivate' });
+
+      assert.deepEqual(plan.templateMetadataChanges.map(({ reportName, fields }) => ({ reportName, fields })), [{
+        reportName: 'Field_Service_Report',
+        fields: { MasterLabel: 'Field Service Report (EU)', TemplateType: 'ServiceReport', IsActive: true },
+      }]);
+      assert.deepEqual(plan.templatesToPrune.map(({ reportName, fields }) => ({ reportName, fields })), [
+        { reportName: 'Old_Report', fields: { IsActive: false } },
+      ]);
+    } finally {
+      target.records.ServiceReportLayout.splice(1);
+    }
+  });
+
+  test('selectTemplates only selects the active templates for all, and any template by name', async () => {
+    target.records.ServiceReportLayout[0].IsActive = true;
+    target.records.ServiceReportLayout.push(
+      { Id: '0SL7x000000TPL2AAA', DeveloperName: 'Old_Report', MasterLabel: 'Old Report', IsActive: false },
+    );
+    try {
+      assert.deepEqual(await selectTemplates(connection, { all: true }), { Field_Service_Report: '0SL7x000000TPL1AAA' });
+      assert.deepEqual(await selectTemplates(connection, { names: ['Old_Report'] }), { Old_Report: '0SL7x000000TPL2AAA' });
+    } finally {
+      delete target.records.ServiceReportLayout[0].IsActive;
+      target.records.ServiceReportLayout.splice(1);
+    }
+  });
+
+  test('selectTemplates and planDeployment read every batch of templates', async () => {
+    const templates = ['A_Report', 'B_Report', 'C_Report', 'D_Report'].map((name, index) => ({
+      Id: `0SL7x000000TPL${index + 2}AAA`,
+      DeveloperName: name,
+      MasterLabel: name.replace('_', ' '),
+      IsActive: true,
+    }));
+    target.records.ServiceReportLayout.push(...templates);
+    try {
+      // the mock org returns 2 records per batch
+      const selected = await selectTemplates(connection, { patterns: ['?_Report'] });
+      assert.deepEqual(Object.keys(selected), ['A_Report', 'B_Report', 'C_Report', 'D_Report']);
+
+      const bundle = toBundle(BUNDLE_LAYOUT);
+      bundle.reportNames = ['Field_Service_Report', ...templates.map(template => template.DeveloperName)];
+      const plan = await planDeployment(connection, bundle, { subtypes: ['SA_WO'], syncTemplateMetadata: false });
+      assert.deepEqual(plan.templatesToCreate, []);
+    } finally {
+      target.records.ServiceReportLayout.splice(1);
+    }
+  });
+
+  test('listTemplates marks the selected templates and whether their targets exist', async () => {
+    target.records.ServiceReportLayout[0].LastModifiedDate = '2022-06-01T09:30:00.000+0000';
+    const source = await startMockOrg({
+      organizationId: '00D5e000000SRC1AAA',
+      records: {
+        ServiceReportLayout: [
+          { Id: '0SL5e000000TPL1AAA', DeveloperName: 'Field_Service_Report', MasterLabel: 'Field Service Report', IsActive: true, LastModifiedDate: '2022-06-28T10:00:00.000+0000' },
+          { Id: '0SL5e000000TPL2AAA', DeveloperName: 'NA_Inspection', MasterLabel: 'Inspection', IsActive: false },
+          { Id: '0SL5e000000TPL3AAA', DeveloperName: 'Work_Summary', MasterLabel: 'Work Summary', IsActive: true },
+        ],
+      },
+    });
+    try {
+      const sourceConnection = new jsforce.Connection({ instanceUrl: source.url, accessToken: source.accessToken, version: '55.0' });
+      const templates = await listTemplates(sourceConnection, connection, {
+        selection: { labels: ['Field Service Report'], patterns: ['NA_*'] },
+        templateMapping: { Work_Summary: 'Field_Service_Report_EU' },
+      });
+
+      assert.deepEqual(templates.map(({ developerName, selected, targets }) => ({ developerName, selected, targets })), [
+        {
+          developerName: 'Field_Service_Report',
+          selected: true,
+          targets: [{ developerName: 'Field_Service_Report', lastModifiedDate: '2022-06-01T09:30:00.000+0000' }],
+        },
+        { developerName: 'NA_Inspection', selected: true, targets: [{ developerName: 'NA_Inspection', lastModifiedDate: null }] },
+        { developerName: 'Work_Summary', selected: false, targets: [{ developerName: 'Field_Service_Report_EU', lastModifiedDate: null }] },
+      ]);
+      assert.equal(templates[0].lastModifiedDate, '2022-06-28T10:00:00.000+0000');
+    } finally {
+      delete target.records.ServiceReportLayout[0].LastModifiedDate;
+      await source.close();
+    }
+  });
+
+  test('readTemplateBundle reads what writeTemplateBundle wrote', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'srt-bundle-'));
+    try {
+      const bundle = toBundle(BUNDLE_LAYOUT);
+      bundle.images = [{ file: 'logo.png', contentType: 'image/png', source: '/logo.png', body: Buffer.from('png') }];
+      await writeTemplateBundle(directory, bundle);
+
+      const readBundle = await readTemplateBundle(directory);
+      assert.deepEqual(readBundle.reportNames, bundle.reportNames);
+      assert.deepEqual(decodeJsonLayout(readBundle.layouts.Field_Service_Report_SA_WO), BUNDLE_LAYOUT);
+      assert.equal(readBundle.images[0].body.toString(), 'png');
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('a bundle read back keeps the source org ID of every reference for the plan', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'srt-bundle-'));
+    try {
+      const bundle = toBundle(BUNDLE_LAYOUT);
+      bundle.references = {
+        'recordType:WorkOrder.Repair': '0125e000000RTY1',
+        'field:WorkOrder.Customer_Notes__c': '00N5e000000FLD1',
+        'field:WorkOrder.Priority_Score__c': '00N5e000000FLD2',
+      };
+      await writeTemplateBundle(directory, bundle);
+
+      const readBundle = await readTemplateBundle(directory);
+      const { referenceToTargetId } = await mapFieldIds(connection, readBundle.layouts);
+      assert.deepEqual(
+        Object.entries(referenceToTargetId).map(([reference, targetId]) => `${reference}: ${readBundle.references[reference]} => ${targetId}`),
+        [
+          'recordType:WorkOrder.Repair: 0125e000000RTY1 => 0127x000000RTY9',
+          'field:WorkOrder.Customer_Notes__c: 00N5e000000FLD1 => 00N7x000000FLD7',
+        ],
+      );
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('a malformed bundle layout file is a lint error and is not deployed', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'srt-bundle-'));
+    try {
+      await writeTemplateBundle(directory, toBundle(BUNDLE_LAYOUT));
+      await writeFile(join(directory, 'Field_Service_Report_SA_WO.json'), '{"sections": [');
+
+      const readBundle = await readTemplateBundle(directory);
+      assert.deepEqual(readBundle.layouts, {});
+      assert.deepEqual(
+        lintTemplates(readBundle, { subtypes: ['SA_WO'] }).map(({ severity, template, subtype, message }) => ({ severity, template, subtype, message })),
+        [{
+          severity: 'error',
+          template: 'Field_Service_Report',
+          subtype: 'SA_WO',
+          message: `malformed layout file 'Field_Service_Report_SA_WO.json': ${readBundle.malformedLayouts.Field_Service_Report_SA_WO.error}`,
+        }],
+      );
+      await assert.rejects(
+        deployTemplates(connection, readBundle, { subtypes: ['SA_WO'] }),
+        /Malformed layout files in the bundle: Field_Service_Report_SA_WO\.json/,
+      );
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,156 @@
+/*
+ * description: Tests how config.js layers and validates the configuration and
+ * saves the template selection
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadConfig, saveTemplateSelection, toEnvName } from '../config.js';
+
+const CONFIG_FILE = `
+reportNames:
+  - "Field_Service_Report"
+concurrency: 2
+taskTimeout:
+targetOrgAuth:
+  method: "password"
+profiles:
+  uat:
+    concurrency: 4
+    targetOrgAuth:
+      method: "sfdxAlias"
+      alias: "uat-sandbox"
+`;
+
+describe('loadConfig', () => {
+  let directory;
+  let filename;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'srt-config-'));
+    filename = join(directory, 'config.yml');
+    await writeFile(filename, CONFIG_FILE);
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('applies the defaults to the keys that are not set or empty', async () => {
+    const { config, profile } = await loadConfig({ filename, env: {} });
+
+    assert.equal(profile, null);
+    assert.deepEqual(config.reportNames, ['Field_Service_Report']);
+    assert.equal(config.concurrency, 2);
+    assert.equal(config.taskTimeout, null);
+    assert.equal(config.bundleDirectory, 'bundle');
+    assert.equal(config.errorLogFilename, 'error.log');
+    assert.equal(config.createReportsInTargetOrg, true);
+    assert.equal(config.runInBackground, false);
+    assert.deepEqual(config.reportSubtypesToMigrate, ['SA_WO', 'SA_WOLI', 'WO', 'WOLI']);
+  });
+
+  test('layers the profile, the environment variables and the overrides', async () => {
+    const { config } = await loadConfig({
+      filename,
+      profile: 'uat',
+      overrides: ['windowWidth=1200', 'targetOrgAuth.alias=qa-sandbox'],
+      env: {
+        SRTM_CONCURRENCY: '6',
+        SRTM_REPORT_SUBTYPES_TO_MIGRATE: 'SA_WO, WO',
+        SRTM_IMAGE_REPLACEMENT_TEXT: '123',
+        SRTM_WRITE_POST_DATA_TO_FILE: 'true',
+      },
+    });
+
+    assert.equal(config.concurrency, 6);
+    assert.deepEqual(config.reportSubtypesToMigrate, ['SA_WO', 'WO']);
+    assert.equal(config.imageReplacementText, '123');
+    assert.equal(config.writePOSTDataToFile, true);
+    assert.equal(config.windowWidth, 1200);
+    assert.deepEqual(config.targetOrgAuth, { method: 'sfdxAlias', alias: 'qa-sandbox' });
+  });
+
+  test('reads the file and the profile from the environment', async () => {
+    const { config, profile } = await loadConfig({ env: { SRTM_CONFIG: filename, SRTM_PROFILE: 'uat' } });
+
+    assert.equal(profile, 'uat');
+    assert.equal(config.concurrency, 4);
+  });
+
+  test('lists every unknown key and invalid value with where it was set', async () => {
+    await writeFile(join(directory, 'invalid.yml'), 'concurency: 2\nwindowWidth: "wide"\nmissingFieldPolicy: "skip"\n');
+
+    await assert.rejects(
+      loadConfig({
+        filename: join(directory, 'invalid.yml'),
+        overrides: ['retries=-1', 'browserArgs.headless=true'],
+        env: { SRTM_VERIFY: 'true' },
+      }),
+      error => {
+        assert.match(error.message, /^Invalid configuration:/);
+        assert.match(error.message, /invalid\.yml': unknown config key 'concurency'/);
+        assert.match(error.message, /SRTM_VERIFY: unknown config key/);
+        assert.match(error.message, /--set browserArgs\.headless: only the keys of map config keys/);
+        assert.match(error.message, /windowWidth \('.*invalid\.yml'\): expected an integer, got "wide"/);
+        assert.match(error.message, /missingFieldPolicy \('.*invalid\.yml'\): "skip" is not one of fail, remove, placeholder/);
+        assert.match(error.message, /retries \(--set retries\): expected a value of at least 0, got -1/);
+        return true;
+      },
+    );
+  });
+
+  test('rejects an unknown profile', async () => {
+    await assert.rejects(
+      loadConfig({ filename, profile: 'prod', env: {} }),
+      /Unknown profile 'prod' in '.*config\.yml', expected one of uat/,
+    );
+  });
+
+  test('saveTemplateSelection replaces the selection of a profile, not the one of the file', async () => {
+    const selectionFile = join(directory, 'selection.yml');
+    await writeFile(selectionFile, `# templates
+reportLabels:
+  - "DEMO TEMPLATE"
+migrateAllTemplates: false
+profiles:
+  uat:
+    reportPatterns:
+      - "NA_*"
+`);
+    await saveTemplateSelection(selectionFile, 'uat', { names: ['Field_Service_Report'], subtypes: ['WO'] });
+
+    const { config: profileConfig } = await loadConfig({ filename: selectionFile, profile: 'uat', env: {} });
+    assert.deepEqual(profileConfig.reportNames, ['Field_Service_Report']);
+    assert.deepEqual(profileConfig.reportLabels, []);
+    assert.deepEqual(profileConfig.reportPatterns, []);
+    assert.equal(profileConfig.migrateAllTemplates, false);
+    assert.deepEqual(profileConfig.reportSubtypesToMigrate, ['WO']);
+
+    const { config } = await loadConfig({ filename: selectionFile, env: {} });
+    assert.deepEqual(config.reportLabels, ['DEMO TEMPLATE']);
+    assert.deepEqual(config.reportNames, []);
+    assert.match(await readFile(selectionFile, 'utf8'), /^# templates/);
+  });
+
+  test('saveTemplateSelection without a profile replaces the selection keys of the file', async () => {
+    const selectionFile = join(directory, 'selection.yml');
+    await writeFile(selectionFile, 'reportLabels:\n  - "DEMO TEMPLATE"\nreportPatterns: ["NA_*"]\nconcurrency: 2 # tabs\n');
+    await saveTemplateSelection(selectionFile, null, { names: ['Field_Service_Report'], subtypes: ['SA_WO', 'WO'] });
+
+    const { config } = await loadConfig({ filename: selectionFile, env: {} });
+    assert.deepEqual(config.reportNames, ['Field_Service_Report']);
+    assert.deepEqual(config.reportLabels, []);
+    assert.deepEqual(config.reportPatterns, []);
+    assert.deepEqual(config.reportSubtypesToMigrate, ['SA_WO', 'WO']);
+    assert.match(await readFile(selectionFile, 'utf8'), /concurrency: 2 # tabs/);
+  });
+
+  test('toEnvName splits the words and acronyms of a key', () => {
+    assert.equal(toEnvName('reportSubtypesToMigrate'), 'SRTM_REPORT_SUBTYPES_TO_MIGRATE');
+    assert.equal(toEnvName('writePOSTDataToFile'), 'SRTM_WRITE_POST_DATA_TO_FILE');
+  });
+});
@@ -0,0 +1,478 @@
+/*
+ * description: Runs the migrator CLI end to end in headless Chromium against
+ * two mock orgs served by mock_salesforce_server.js
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { mkdtemp, writeFile, readFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'yaml';
+import { startMockOrg } from './mock_salesforce_server.js';
+
+const SCRIPT = join(dirname(fileURLToPath(import.meta.url)), '..', 'report_template_migrator.js');
+const RUN_TIMEOUT = 180000;
+
+const SOURCE_TEMPLATE_ID = '0SL5e000000TPL1AAA';
+const TARGET_TEMPLATE_ID = '0SL7x000000TPL1AAA';
+
+const BASE_CONFIG = {
+  reportNames: ['Field_Service_Report'],
+  reportSubtypesToMigrate: ['SA_WO', 'WO'],
+  writePOSTDataToFile: false,
+  errorLogFilename: 'error.log',
+  windowWidth: 1200,
+  windowHeight: 800,
+  actionTimeout: 20000,
+  concurrency: 2,
+  taskTimeout: 60000,
+  removeSourceImages: false,
+  imageReplacementText: 'IMAGE REMOVED',
+  verifyDeployment: true,
+  bundleDirectory: 'bundle',
+  migrateSourceImages: false,
+  backupDirectory: 'backups',
+  browserArgs: ['--no-sandbox'],
+};
+
+function sourceOrgFixture() {
+  return {
+    organizationId: '00D5e000000SRC1AAA',
+    records: {
+      ServiceReportLayout: [
+        {
+          Id: SOURCE_TEMPLATE_ID,
+          DeveloperName: 'Field_Service_Report',
+          MasterLabel: 'Field Service Report',
+          TemplateType: 'ServiceReport',
+          IsActive: true,
+          IsDefault: true,
+        },
+        // its label ends like the one above, it must not be picked by mistake
+        { Id: '0SL5e000000TPL2AAA', DeveloperName: 'Service_Report', MasterLabel: 'Service Report' },
+      ],
+      CustomObject: [
+        { Id: '01I5e000000OBJ1AAA', DeveloperName: 'Inspection', NamespacePrefix: null },
+      ],
+      CustomField: [
+        { Id: '00N5e000000FLD1AAA', DeveloperName: 'Customer_Notes', NamespacePrefix: null, TableEnumOrId: 'WorkOrder' },
+        { Id: '00N5e000000FLD2AAA', DeveloperName: 'Result', NamespacePrefix: null, TableEnumOrId: '01I5e000000OBJ1AAA' },
+        { Id: '00N5e000000FLD3AAA', DeveloperName: 'Priority_Score', NamespacePrefix: null, TableEnumOrId: 'WorkOrder' },
+      ],
+      RecordType: [
+        { Id: '0125e000000RTY1AAA', DeveloperName: 'Repair', NamespacePrefix: null, SobjectType: 'WorkOrder' },
+      ],
+      Document: [
+        { Id: '0155e000000DOC1AAA', DeveloperName: 'Company_Logo', NamespacePrefix: null },
+      ],
+    },
+    layouts: {
+      [SOURCE_TEMPLATE_ID]: {
+        SA_WO: {
+          sections: [{
+            title: 'Details',
+            recordTypeId: '0125e000000RTY1',
+            fields: [
+              { fieldId: '00N5e000000FLD1', label: 'Notes' },
+              { fieldId: '00N5e000000FLD2', label: 'Inspection Result' },
+              { fieldId: '00N5e000000FLD3', label: 'Priority & Score' },
+            ],
+          }],
+        },
+        WO: {
+          sections: [{
+            title: 'Header',
+            text: '<img src="/servlet/servlet.ImageServer?id=0155e000000DOC1&oid=00D5e000000SRC1"/>',
+            fields: [{ fieldId: '00N5e000000FLD1', label: 'Notes' }],
+          }],
+        },
+      },
+    },
+  };
+}
+
+function targetOrgFixture({ withoutFields = [] } = {}) {
+  return {
+    organizationId: '00D7x000000TGT1AAA',
+    records: {
+      ServiceReportLayout: [
+        {
+          Id: TARGET_TEMPLATE_ID,
+          DeveloperName: 'Field_Service_Report',
+          MasterLabel: 'Field Service Report (old)',
+          TemplateType: 'ServiceReport',
+          IsActive: false,
+          IsDefault: false,
+        },
+        { Id: '0SL7x000000TPL9AAA', DeveloperName: 'Legacy_Report', MasterLabel: 'Legacy Report', IsActive: true, IsDefault: true },
+      ],
+      CustomObject: [
+        { Id: '01I7x000000OBJ9AAA', DeveloperName: 'Inspection', NamespacePrefix: null },
+      ],
+      CustomField: [
+        { Id: '00N7x000000FLD7AAA', DeveloperName: 'Customer_Notes', NamespacePrefix: null, TableEnumOrId: 'WorkOrder' },
+        { Id: '00N7x000000FLD8AAA', DeveloperName: 'Result', NamespacePrefix: null, TableEnumOrId: '01I7x000000OBJ9AAA' },
+        { Id: '00N7x000000FLD9AAA', DeveloperName: 'Priority_Score', NamespacePrefix: null, TableEnumOrId: 'WorkOrder' },
+      ].filter(field => !withoutFields.includes(field.DeveloperName)),
+      RecordType: [
+        { Id: '0127x000000RTY9AAA', DeveloperName: 'Repair', NamespacePrefix: null, SobjectType: 'WorkOrder' },
+      ],
+      Document: [
+        { Id: '0157x000000DOC9AAA', DeveloperName: 'Company_Logo', NamespacePrefix: null },
+      ],
+    },
+    layouts: {
+      [TARGET_TEMPLATE_ID]: {
+        SA_WO: { sections: [{ title: 'Old target layout', fields: [] }] },
+      },
+    },
+  };
+}
+
+/**
+ * Runs the migrator in `directory` with its own config.yml, `input` is
+ * written to its standard input
+ * @returns {Promise<{code: Number, stdout: String, stderr: String}>}
+ */
+async function runMigrator(directory, args, { source, target, config = {}, input = '' }) {
+  await writeFile(join(directory, 'config.yml'), JSON.stringify({ ...BASE_CONFIG, ...config }, null, 2));
+
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !/^((SOURCE|TARGET)_ORG_|SRTM_)/.test(name)),
+  );
+  Object.assign(env, {
+    SOURCE_ORG_LOGIN_URL: source.url,
+    SOURCE_ORG_ACCESS_TOKEN: source.accessToken,
+    TARGET_ORG_LOGIN_URL: target.url,
+    TARGET_ORG_ACCESS_TOKEN: target.accessToken,
+  });
+
+  return new Promise(resolve => {
+    const child = execFile(
+      process.execPath,
+      [SCRIPT, ...args, '--headless'],
+      { cwd: directory, env, timeout: RUN_TIMEOUT, maxBuffer: 16 * 1024 * 1024 },
+      (err, stdout, stderr) => resolve({ code: err ? err.code ?? 1 : 0, stdout, stderr }),
+    );
+    child.stdin.end(input);
+  });
+}
+
+function assertSucceeded(result) {
+  assert.equal(result.code, 0, `migrator failed:\n${result.stdout}\n${result.stderr}`);
+}
+
+function savedLayout(org, templateId, subtype) {
+  return org.saves.filter(save => save.templateId === templateId && save.subtype === subtype).at(-1)?.layout;
+}
+
+describe('retrieve, deploy, diff and rollback', () => {
+  let directory;
+  let source;
+  let target;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'srt-migrator-'));
+    source = await startMockOrg(sourceOrgFixture());
+    target = await startMockOrg(targetOrgFixture());
+  });
+
+  after(async () => {
+    await source.close();
+    await target.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('retrieve writes an org independent bundle', async () => {
+    assertSucceeded(await runMigrator(directory, ['retrieve'], { source, target }));
+
+    const manifest = JSON.parse(await readFile(join(directory, 'bundle', 'manifest.json'), 'utf8'));
+    assert.deepEqual(manifest.reportNames, ['Field_Service_Report']);
+    assert.deepEqual(
+      manifest.templates.map(({ reportName, subtype }) => `${reportName}/${subtype}`).sort(),
+      ['Field_Service_Report/SA_WO', 'Field_Service_Report/WO'],
+    );
+
+    const saWo = await readFile(join(directory, 'bundle', 'Field_Service_Report_SA_WO.json'), 'utf8');
+    assert.match(saWo, /\{\{field:WorkOrder\.Customer_Notes__c\}\}/);
+    assert.match(saWo, /\{\{field:Inspection__c\.Result__c\}\}/);
+    assert.match(saWo, /\{\{field:WorkOrder\.Priority_Score__c\}\}/);
+    assert.match(saWo, /\{\{recordType:WorkOrder\.Repair\}\}/);
+    assert.match(saWo, /Priority & Score/);
+
+    const wo = await readFile(join(directory, 'bundle', 'Field_Service_Report_WO.json'), 'utf8');
+    assert.match(wo, /id=\{\{document:Company_Logo\}\}&oid=\{\{organization:current\}\}/);
+    assert.doesNotMatch(saWo + wo, /00N5e|0125e|0155e|00D5e/);
+  });
+
+  test('preview writes the HTML and PDF of a bundle template', async () => {
+    const result = await runMigrator(
+      directory,
+      ['preview', '--template', 'Field_Service_Report', '--subtype', 'SA_WO', '--output', 'previews'],
+      { source, target },
+    );
+
+    assertSucceeded(result);
+    const html = await readFile(join(directory, 'previews', 'Field_Service_Report_SA_WO.html'), 'utf8');
+    assert.match(html, /<h2>Details<\/h2>/);
+    assert.match(html, /<span class="label">Priority &amp; Score<\/span><span class="value">\[WorkOrder\.Priority_Score__c\]<\/span>/);
+    const pdf = await readFile(join(directory, 'previews', 'Field_Service_Report_SA_WO.pdf'));
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  test('deploy --dry-run prints the plan without saving anything', async () => {
+    const result = await runMigrator(directory, ['deploy', '--dry-run'], { source, target });
+
+    assertSucceeded(result);
+    assert.match(result.stdout, /plan: report\/subtype layouts that would be overwritten \(2\)/);
+    assert.match(result.stdout, /field:WorkOrder\.Customer_Notes__c: 00N5e000000FLD1 => 00N7x000000FLD7/);
+    assert.match(result.stdout, /plan: references missing in target org \(0\)/);
+    assert.equal(target.saves.length, 0);
+  });
+
+  test('deploy saves translated layouts, backs them up and verifies them', async () => {
+    const result = await runMigrator(
+      directory,
+      ['deploy', '--report', 'run-report.json', '--junit', 'junit.xml'],
+      { source, target },
+    );
+
+    assertSucceeded(result);
+    assert.match(result.stdout, /verified 'Field_Service_Report' \/ Work Order: match/);
+    // one save per deployed report/subtype, verifying them saves nothing
+    assert.deepEqual(target.saves.map(({ subtype }) => subtype).sort(), ['SA_WO', 'WO']);
+
+    const runReport = JSON.parse(await readFile(join(directory, 'run-report.json'), 'utf8'));
+    assert.equal(runReport.status, 'success');
+    assert.deepEqual(
+      runReport.templates.map(({ operation, subtype, status }) => `${operation} ${subtype} ${status}`),
+      ['deploy SA_WO success', 'deploy WO success', 'verify SA_WO success', 'verify WO success', 'sync null success'],
+    );
+    assert.deepEqual(
+      runReport.targetOrgs[0].idMappings.find(mapping => mapping.reference === 'field:WorkOrder.Customer_Notes__c'),
+      { reference: 'field:WorkOrder.Customer_Notes__c', sourceId: '00N5e000000FLD1', targetId: '00N7x000000FLD7' },
+    );
+    assert.ok(runReport.targetOrgs[0].idMappings.every(mapping => mapping.sourceId));
+    assert.match(
+      await readFile(join(directory, 'junit.xml'), 'utf8'),
+      /<testsuite name="deploy target" tests="2" failures="0"/,
+    );
+
+    const saWo = savedLayout(target, TARGET_TEMPLATE_ID, 'SA_WO');
+    assert.equal(saWo.sections[0].recordTypeId, '0127x000000RTY9');
+    assert.deepEqual(
+      saWo.sections[0].fields.map(field => field.fieldId),
+      ['00N7x000000FLD7', '00N7x000000FLD8', '00N7x000000FLD9'],
+    );
+    assert.equal(
+      savedLayout(target, TARGET_TEMPLATE_ID, 'WO').sections[0].text,
+      '<img src="/servlet/servlet.ImageServer?id=0157x000000DOC9&oid=00D7x000000TGT1"/>',
+    );
+
+    const [backup] = await readdir(join(directory, 'backups', 'target'));
+    const backupManifest = JSON.parse(
+      await readFile(join(directory, 'backups', 'target', backup, 'manifest.json'), 'utf8'),
+    );
+    assert.equal(backupManifest.kind, 'backup');
+    assert.equal(backupManifest.templates.length, 2);
+
+    const [template, legacyTemplate] = target.records.ServiceReportLayout;
+    assert.equal(template.MasterLabel, 'Field Service Report');
+    assert.equal(template.IsActive, true);
+    assert.equal(template.IsDefault, true);
+    assert.equal(legacyTemplate.IsDefault, false);
+  });
+
+  test('diff finds no differences between the source and the deployed target and saves nothing', async () => {
+    const [sourceSaves, targetSaves] = [source.saves.length, target.saves.length];
+    const result = await runMigrator(
+      directory,
+      ['diff', '--template', 'Field_Service_Report', '--subtype', 'SA_WO'],
+      { source, target },
+    );
+
+    assertSucceeded(result);
+    assert.match(result.stdout, /diff: no differences/);
+    assert.equal(source.saves.length, sourceSaves);
+    assert.equal(target.saves.length, targetSaves);
+  });
+
+  test('rollback restores the layouts from the latest backup', async () => {
+    assertSucceeded(await runMigrator(directory, ['rollback'], { source, target }));
+
+    assert.deepEqual(
+      savedLayout(target, TARGET_TEMPLATE_ID, 'SA_WO'),
+      { sections: [{ title: 'Old target layout', fields: [] }] },
+    );
+  });
+
+  test('a second rollback restores the same backup and writes no backup of its own', async () => {
+    const backups = await readdir(join(directory, 'backups', 'target'));
+    assertSucceeded(await runMigrator(directory, ['rollback'], { source, target }));
+
+    assert.deepEqual(
+      savedLayout(target, TARGET_TEMPLATE_ID, 'SA_WO'),
+      { sections: [{ title: 'Old target layout', fields: [] }] },
+    );
+    assert.deepEqual(await readdir(join(directory, 'backups', 'target')), backups);
+  });
+
+  test('deploy --prune deactivates the templates that are not deployed', async () => {
+    assertSucceeded(await runMigrator(directory, ['deploy', '--prune'], { source, target }));
+
+    const legacyTemplate = target.records.ServiceReportLayout.find(({ DeveloperName }) => DeveloperName === 'Legacy_Report');
+    assert.equal(legacyTemplate.IsActive, false);
+    assert.equal(target.records.ServiceReportLayout.length, 2);
+  });
+});
+
+describe('all', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'srt-migrator-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('creates mapped target templates that do not exist yet', async () => {
+    const source = await startMockOrg(sourceOrgFixture());
+    const target = await startMockOrg(targetOrgFixture());
+    try {
+      const result = await runMigrator(directory, ['all'], {
+        source,
+        target,
+        config: { templateMapping: { Field_Service_Report: ['Field_Service_Report', 'FSR_East'] } },
+      });
+
+      assertSucceeded(result);
+      const created = target.records.ServiceReportLayout.find(template => template.DeveloperName === 'FSR_East');
+      assert.ok(created, 'FSR_East was not created');
+      assert.equal(savedLayout(target, created.Id, 'SA_WO').sections[0].fields[0].fieldId, '00N7x000000FLD7');
+      assert.equal(savedLayout(target, TARGET_TEMPLATE_ID, 'SA_WO').sections[0].fields[0].fieldId, '00N7x000000FLD7');
+    } finally {
+      await source.close();
+      await target.close();
+    }
+  });
+
+  test('--interactive migrates the picked templates and subtypes and saves them to config.yml', async () => {
+    const source = await startMockOrg(sourceOrgFixture());
+    const target = await startMockOrg(targetOrgFixture());
+    try {
+      // keep the configured template, uncheck SA_WO and save the selection
+      const result = await runMigrator(directory, ['all', '--interactive'], {
+        source,
+        target,
+        config: { reportNames: [], reportLabels: ['Field Service Report'] },
+        input: '\n1\n\ny\n',
+      });
+
+      assertSucceeded(result);
+      assert.match(result.stdout, /\[x\] Field_Service_Report 'Field Service Report' .*target: exists/);
+      assert.match(result.stdout, /\[ \] Service_Report 'Service Report' .*target: missing/);
+      assert.ok(savedLayout(target, TARGET_TEMPLATE_ID, 'WO'));
+      assert.equal(savedLayout(target, TARGET_TEMPLATE_ID, 'SA_WO'), undefined);
+
+      const config = parse(await readFile(join(directory, 'config.yml'), 'utf8'));
+      assert.deepEqual(config.reportNames, ['Field_Service_Report']);
+      assert.deepEqual(config.reportSubtypesToMigrate, ['WO']);
+      assert.equal(config.reportLabels, undefined);
+    } finally {
+      await source.close();
+      await target.close();
+    }
+  });
+
+  test('fails without saving when a field is missing in the target org', async () => {
+    const source = await startMockOrg(sourceOrgFixture());
+    const target = await startMockOrg(targetOrgFixture({ withoutFields: ['Priority_Score'] }));
+    try {
+      const result = await runMigrator(directory, ['all', '--report', 'run-report.json'], { source, target });
+
+      assert.equal(result.code, 1);
+      assert.match(result.stdout + result.stderr, /field:WorkOrder\.Priority_Score__c/);
+      assert.equal(target.saves.length, 0);
+
+      const runReport = JSON.parse(await readFile(join(directory, 'run-report.json'), 'utf8'));
+      assert.equal(runReport.status, 'failed');
+      assert.deepEqual(runReport.targetOrgs[0].missingReferences, ['field:WorkOrder.Priority_Score__c']);
+    } finally {
+      await source.close();
+      await target.close();
+    }
+  });
+
+  test('--resume without stateFilename stops with exit code 2 and writes the run report', async () => {
+    const source = await startMockOrg(sourceOrgFixture());
+    const target = await startMockOrg(targetOrgFixture());
+    try {
+      const result = await runMigrator(directory, ['deploy', '--resume', '--report', 'run-report.json'], { source, target });
+
+      assert.equal(result.code, 2);
+      const runReport = JSON.parse(await readFile(join(directory, 'run-report.json'), 'utf8'));
+      assert.equal(runReport.status, 'error');
+      assert.match(runReport.errors[0].message, /--resume needs stateFilename/);
+    } finally {
+      await source.close();
+      await target.close();
+    }
+  });
+
+  test('a field rules file that cannot be read stops with exit code 2 and writes the run report', async () => {
+    const source = await startMockOrg(sourceOrgFixture());
+    const target = await startMockOrg(targetOrgFixture());
+    try {
+      const result = await runMigrator(directory, ['deploy', '--report', 'run-report.json'], {
+        source,
+        target,
+        config: { fieldRulesFilename: 'missing-rules.yml' },
+      });
+
+      assert.equal(result.code, 2);
+      assert.match(result.stderr, /error: Invalid configuration: could not read the field rules file 'missing-rules\.yml'/);
+      const runReport = JSON.parse(await readFile(join(directory, 'run-report.json'), 'utf8'));
+      assert.equal(runReport.status, 'error');
+      assert.equal(target.saves.length, 0);
+    } finally {
+      await source.close();
+      await target.close();
+    }
+  });
+
+  test('--resume continues a failed run without retrieving the templates again', async () => {
+    const source = await startMockOrg(sourceOrgFixture());
+    const target = await startMockOrg(targetOrgFixture({ withoutFields: ['Priority_Score'] }));
+    const config = { stateFilename: '.migration-state.json' };
+    try {
+      const failedResult = await runMigrator(directory, ['all'], { source, target, config });
+      assert.equal(failedResult.code, 1);
+      assert.match(failedResult.stdout, /run 'all' again with --resume/);
+      const state = JSON.parse(await readFile(join(directory, '.migration-state.json'), 'utf8'));
+      assert.ok(state.retrieve.completedAt);
+
+      // the source org is not needed anymore, and the missing field is created
+      await source.close();
+      target.records.CustomField.push(
+        { Id: '00N7x000000FLD9AAA', DeveloperName: 'Priority_Score', NamespacePrefix: null, TableEnumOrId: 'WorkOrder' },
+      );
+      const result = await runMigrator(directory, ['all', '--resume'], { source, target, config });
+
+      assertSucceeded(result);
+      assert.match(result.stdout, /templates already retrieved by the interrupted run/);
+      assert.deepEqual(
+        savedLayout(target, TARGET_TEMPLATE_ID, 'SA_WO').sections[0].fields.map(field => field.fieldId),
+        ['00N7x000000FLD7', '00N7x000000FLD8', '00N7x000000FLD9'],
+      );
+      await assert.rejects(readFile(join(directory, '.migration-state.json')), { code: 'ENOENT' });
+    } finally {
+      await source.close();
+      await target.close();
+    }
+  });
+});
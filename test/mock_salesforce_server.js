@@ -0,0 +1,386 @@
+/*
+ * description: Local stand-in for the parts of a Salesforce org that the
+ * Service Report Template Migrator talks to: frontdoor.jsp, the template list,
+ * the template editor (subtype picklist and Quick Save), the template clone
+ * page and the REST/Tooling API query, create, update and delete endpoints
+ */
+
+import { createServer } from 'http';
+
+const API_PATH = '/services/data/v55.0';
+const EDITOR_PATH = '/servicereport/serviceReportTemplateEditor.apexp';
+const LIST_PATH = '/_ui/support/fieldservice/ui/ServiceReportTemplateLayouts';
+const CLONE_PATH = '/_ui/support/fieldservice/ui/ServiceReportTemplateClone/e';
+const JSON_LAYOUT_PARAM = 'j_id0:f:jsonLayout';
+const PICKLIST_PARAM = 'j_id0:f:childLayoutPicklist:templateList';
+const QUERY_BATCH_SIZE = 2;
+
+export const SUBTYPES = {
+  SA_WO: 'Service Appointment for Work Order',
+  SA_WOLI: 'Service Appointment for Work Order Line Item',
+  WO: 'Work Order',
+  WOLI: 'Work Order Line Item',
+};
+
+/**
+ * Starts a mock org on a random local port
+ * @param {Object} options
+ * @param {String} options.organizationId 18 character organization Id
+ * @param {String} [options.accessToken] session Id accepted by the org
+ * @param {Object<String, Object[]>} [options.records] records returned by
+ * queries, by sObject type (ServiceReportLayout, CustomField, RecordType...)
+ * @param {Object<String, Object>} [options.layouts] template Id => subtype =>
+ * layout shown in the template editor
+ * @returns {Promise<Object>} `{ url, accessToken, records, layouts, saves, close }`
+ */
+export async function startMockOrg({
+  organizationId,
+  accessToken = `${organizationId}!session`,
+  records = {},
+  layouts = {},
+}) {
+  const org = {
+    url: undefined,
+    accessToken,
+    records: {
+      Organization: [{ Id: organizationId }],
+      ...records,
+    },
+    layouts,
+    // every layout saved through Quick Save, in order
+    saves: [],
+    queryLocators: {},
+  };
+
+  const server = createServer((request, response) => {
+    handleRequest(org, request, response).catch(err => {
+      response.writeHead(500, { 'Content-Type': 'text/plain' });
+      response.end(err.stack);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  org.url = `http://127.0.0.1:${server.address().port}`;
+  org.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return org;
+}
+
+async function handleRequest(org, request, response) {
+  const url = new URL(request.url, org.url);
+  const body = await readBody(request);
+
+  if (url.pathname.startsWith(API_PATH)) {
+    return handleApiRequest(org, request, url, body, response);
+  }
+
+  if (url.pathname === '/secur/frontdoor.jsp') {
+    if (url.searchParams.get('sid') !== org.accessToken) {
+      return redirect(response, '/?ec=302');
+    }
+    response.writeHead(302, {
+      Location: '/home/home.jsp',
+      'Set-Cookie': `sid=${org.accessToken}; Path=/; HttpOnly`,
+    });
+    return response.end();
+  }
+
+  if (getCookie(request, 'sid') !== org.accessToken) {
+    return redirect(response, `/?ec=302&startURL=${encodeURIComponent(request.url)}`);
+  }
+
+  if (url.pathname === '/home/home.jsp') {
+    return sendHtml(response, '<html><body><h1>Home</h1></body></html>');
+  }
+  if (url.pathname === LIST_PATH) {
+    return sendHtml(response, renderTemplateList(org));
+  }
+  if (url.pathname === EDITOR_PATH) {
+    return handleEditorRequest(org, request, url, body, response);
+  }
+  if (url.pathname === CLONE_PATH) {
+    if (request.method === 'POST') {
+      createTemplate(org, new URLSearchParams(body).get('name'));
+      return redirect(response, LIST_PATH);
+    }
+    return sendHtml(response, renderClonePage(url.searchParams.get('p1')));
+  }
+
+  response.writeHead(404, { 'Content-Type': 'text/plain' });
+  response.end('Not found');
+}
+
+function handleApiRequest(org, request, url, body, response) {
+  if (request.headers.authorization !== `Bearer ${org.accessToken}`) {
+    return sendJson(response, [{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }], 401);
+  }
+
+  const path = url.pathname.substring(API_PATH.length).replace(/^\/tooling/, '');
+  if (path === '/query' || path === '/query/') {
+    return sendJson(response, queryPage(org, runQuery(org, url.searchParams.get('q'))));
+  }
+  if (path.startsWith('/query/')) {
+    const records = org.queryLocators[path.split('/').pop()];
+    if (!records) {
+      return sendJson(response, [{ errorCode: 'INVALID_QUERY_LOCATOR', message: 'invalid query locator' }], 400);
+    }
+    return sendJson(response, queryPage(org, records));
+  }
+
+  const sobjectMatch = /^\/sobjects\/(\w+)$/.exec(path);
+  if (sobjectMatch && request.method === 'POST') {
+    const type = sobjectMatch[1];
+    const record = { ...JSON.parse(body), Id: toId(type === 'Document' ? '015' : 'a00', org) };
+    (org.records[type] ??= []).push(record);
+    return sendJson(response, { id: record.Id, success: true, errors: [] }, 201);
+  }
+
+  const recordMatch = /^\/sobjects\/(\w+)\/(\w+)$/.exec(path);
+  if (recordMatch && (request.method === 'PATCH' || request.method === 'DELETE')) {
+    const [, type, id] = recordMatch;
+    const records = org.records[type] ?? [];
+    const record = records.find(existingRecord => fieldEquals(existingRecord.Id, id));
+    if (!record) {
+      return sendJson(response, [{ errorCode: 'NOT_FOUND', message: `${type} ${id} not found` }], 404);
+    }
+    if (request.method === 'DELETE') {
+      records.splice(records.indexOf(record), 1);
+    } else {
+      const fields = JSON.parse(body);
+      // there is only one default template
+      if (type === 'ServiceReportLayout' && fields.IsDefault) {
+        records.forEach(template => { template.IsDefault = false; });
+      }
+      Object.assign(record, fields);
+    }
+    response.writeHead(204);
+    return response.end();
+  }
+
+  return sendJson(response, [{ errorCode: 'NOT_FOUND', message: `Unsupported API path ${path}` }], 404);
+}
+
+/**
+ * Returns the first `QUERY_BATCH_SIZE` records and keeps the rest behind a
+ * query locator, so that `queryMore` is always exercised
+ */
+function queryPage(org, records) {
+  const result = {
+    totalSize: records.length,
+    done: records.length <= QUERY_BATCH_SIZE,
+    records: records.slice(0, QUERY_BATCH_SIZE),
+  };
+  if (!result.done) {
+    const locator = `01g${Object.keys(org.queryLocators).length}-${QUERY_BATCH_SIZE}`;
+    org.queryLocators[locator] = records.slice(QUERY_BATCH_SIZE);
+    result.nextRecordsUrl = `${API_PATH}/query/${locator}`;
+  }
+  return result;
+}
+
+/**
+ * Runs the small subset of SOQL used by the migrator: field lists, `AND`ed
+ * `Field = 'value'` and `Field IN ('values')` conditions and `ORDER BY`
+ * @param {Object} org
+ * @param {String} soql
+ * @returns {Object[]}
+ */
+export function runQuery(org, soql) {
+  const match = /^SELECT\s+(.+?)\s+FROM\s+(\w+)(?:\s+WHERE\s+(.+?))?(?:\s+ORDER BY\s+(\w+))?$/is.exec(soql.trim());
+  if (!match) {
+    throw new Error(`Unsupported query: ${soql}`);
+  }
+  const [, fieldList, type, where, orderBy] = match;
+  const fields = fieldList.split(',').map(field => field.trim());
+  const conditions = where ? where.split(/\s+AND\s+/i).map(parseCondition) : [];
+
+  const records = (org.records[type] ?? [])
+    .filter(record => conditions.every(({ field, values }) =>
+      values.some(value => fieldEquals(record[field], value))))
+    .map(record => ({
+      attributes: { type, url: `${API_PATH}/sobjects/${type}/${record.Id}` },
+      ...Object.fromEntries(fields.map(field => [field, record[field] ?? null])),
+    }));
+
+  if (orderBy) {
+    records.sort((left, right) => String(left[orderBy]).localeCompare(String(right[orderBy])));
+  }
+  return records;
+}
+
+function parseCondition(condition) {
+  const match = /^\(?\s*(\w+)\s*(=|IN)\s*(.+?)\s*\)?$/i.exec(condition.trim());
+  if (!match) {
+    throw new Error(`Unsupported condition: ${condition}`);
+  }
+  const values = [...match[3].matchAll(/'((?:[^'\\]|\\.)*)'/g)].map(([, value]) => value);
+  return { field: match[1], values };
+}
+
+/**
+ * 15 character Ids match their 18 character version, an empty string matches
+ * null like it does for `NamespacePrefix = ''`
+ */
+function fieldEquals(recordValue, value) {
+  if (recordValue == null) {
+    return value === '';
+  }
+  return recordValue === value ||
+    (recordValue.length === 18 && value.length === 15 && recordValue.startsWith(value));
+}
+
+function handleEditorRequest(org, request, url, body, response) {
+  const templateId = url.searchParams.get('id');
+  const template = (org.records.ServiceReportLayout ?? []).find(record => fieldEquals(record.Id, templateId));
+  if (!template) {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    return response.end('Template not found');
+  }
+
+  if (request.method === 'GET') {
+    return sendHtml(response, renderEditor(org, template));
+  }
+
+  const params = new URLSearchParams(body);
+  const subtype = params.get(PICKLIST_PARAM);
+  if (!params.has(JSON_LAYOUT_PARAM)) {
+    // subtype switch, answers with the layout of the selected subtype
+    return sendJson(response, { subtype, layout: getLayout(org, template, subtype) });
+  }
+
+  let layout;
+  try {
+    layout = JSON.parse(params.get(JSON_LAYOUT_PARAM));
+  } catch (err) {
+    return sendHtml(
+      response,
+      '<span class="message errorM3"><span class="messageText">Invalid layout</span></span>',
+    );
+  }
+  (org.layouts[template.Id] ??= {})[subtype] = layout;
+  org.saves.push({ templateId: template.Id, developerName: template.DeveloperName, subtype, layout });
+  return sendHtml(
+    response,
+    '<span class="message confirmM3"><span class="messageText">Template saved</span></span>',
+  );
+}
+
+function getLayout(org, template, subtype) {
+  return org.layouts[template.Id]?.[subtype] ?? { sections: [] };
+}
+
+function createTemplate(org, name) {
+  const developerName = name.replace(/[^a-zA-Z0-9_]/g, '_');
+  const templates = org.records.ServiceReportLayout ??= [];
+  templates.push({
+    Id: toId('0SL', org),
+    DeveloperName: developerName,
+    MasterLabel: name,
+    TemplateType: 'ServiceReport',
+    IsActive: true,
+    IsDefault: false,
+  });
+}
+
+function renderTemplateList(org) {
+  const rows = (org.records.ServiceReportLayout ?? []).map(template => `
+    <tr>
+      <td><a title="${escapeHtml(template.MasterLabel)}" href="${EDITOR_PATH}?id=${template.Id.substring(0, 15)}">${escapeHtml(template.MasterLabel)}</a></td>
+      <td><a href="${CLONE_PATH}?p1=${encodeURIComponent(template.DeveloperName)}">Clone</a></td>
+    </tr>`);
+  return `<html><body><table>${rows.join('')}</table></body></html>`;
+}
+
+function renderEditor(org, template) {
+  const subtype = 'SA_WO';
+  const options = Object.entries(SUBTYPES)
+    .map(([value, label]) => `<option value="${value}"${value === subtype ? ' selected' : ''}>${label}</option>`)
+    .join('');
+  return `<html><body>
+    <form id="j_id0:f">
+      <select name="${PICKLIST_PARAM}">${options}</select>
+      <button type="button" id="quickSave">Quick Save</button>
+      <div id="messages"></div>
+    </form>
+    <script>
+      let layout = ${JSON.stringify(getLayout(org, template, subtype))};
+      const picklist = document.querySelector('select');
+      const editorUrl = location.pathname + location.search;
+      const post = params => fetch(editorUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params).toString(),
+      });
+
+      picklist.addEventListener('change', async () => {
+        const response = await post({ '${PICKLIST_PARAM}': picklist.value });
+        layout = (await response.json()).layout;
+      });
+      document.getElementById('quickSave').addEventListener('click', async () => {
+        const response = await post({
+          '${PICKLIST_PARAM}': picklist.value,
+          '${JSON_LAYOUT_PARAM}': JSON.stringify(layout),
+        });
+        document.getElementById('messages').innerHTML = await response.text();
+      });
+    </script>
+  </body></html>`;
+}
+
+function renderClonePage(name) {
+  return `<html><body>
+    <form method="POST">
+      <input type="text" name="name" value="${escapeHtml(name ?? '')}">
+      <input type="submit" name="save" value="Save">
+    </form>
+  </body></html>`;
+}
+
+let idCounter = 0;
+
+function toId(prefix, org) {
+  idCounter++;
+  return `${prefix}${org.records.Organization[0].Id.substring(3, 5)}${String(idCounter).padStart(13, '0')}`;
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+function getCookie(request, name) {
+  return (request.headers.cookie ?? '')
+    .split(';')
+    .map(cookie => cookie.trim().split('='))
+    .find(([cookieName]) => cookieName === name)?.[1];
+}
+
+function redirect(response, location) {
+  response.writeHead(302, { Location: location });
+  response.end();
+}
+
+function sendHtml(response, html) {
+  response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  response.end(html);
+}
+
+function sendJson(response, data, statusCode = 200) {
+  response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(data));
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('"', '&quot;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;');
+}